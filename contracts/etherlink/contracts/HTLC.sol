@@ -1,10 +1,38 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+/**
+ * @dev Subset of the ERC-20 interface used by the HTLC
+ */
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/**
+ * @title IHTLCReceiver - Claim hook for contract recipients
+ * @notice Implemented by contracts that want to know which swap paid them.
+ *         The HTLC only calls it for recipients that opted in with setReceiverHook(true)
+ */
+interface IHTLCReceiver {
+    /**
+     * @notice Called by the HTLC after it paid a claimed swap to this contract
+     * @dev Runs with at most RECEIVER_HOOK_GAS; a revert or a wrong return value is
+     *      reported in ReceiverHookCalled but never undoes the claim
+     * @param swapId The swap that was claimed
+     * @param token The token paid (address(0) for native XTZ)
+     * @param amount The amount this contract received (net of any relayer fee)
+     * @param secret The revealed 32-byte secret
+     * @return IHTLCReceiver.onHTLCClaim.selector to acknowledge the call
+     */
+    function onHTLCClaim(bytes32 swapId, address token, uint256 amount, bytes calldata secret) external returns (bytes4);
+}
+
 /**
  * @title HTLC - Hashed Timelock Contract for Atomic Swaps (HARDENED v2.0)
  * @notice This contract enables TRUSTLESS cross-chain swaps between Etherlink and Jstz
- * @dev Uses SHA-256 for hashlock verification (cross-chain compatible with Jstz)
+ * @dev Uses SHA-256 or Keccak-256 for hashlock verification, chosen per swap
  * 
  * SECURITY MODEL:
  * ===============
@@ -12,16 +40,73 @@ pragma solidity ^0.8.20;
  * - TIMELOCK ENFORCED: claim blocked after expiration (aligned with Jstz)
  * - SECRET FORMAT: 32 bytes required (aligned with Jstz 0x + 64 hex)
  * - REENTRANCY SAFE: status updated before external calls
+ * - PERMISSIONLESS REFUND: anyone may trigger a refund after expiration,
+ *   but the funds only ever go back to swap.sender
  * 
  * CROSS-CHAIN COMPATIBILITY:
  * - Secret: 32 bytes raw (= 0x + 64 hex on Jstz)
- * - Hashlock: SHA-256(secret)
- * - Same secret works on both chains
+ * - Hashlock: SHA-256(secret) or Keccak-256(secret), set per swap by the sender
+ *   (Keccak-256 for counterparties on EVM HTLCs that only support it)
+ * - Same secret works on both chains as long as both legs use the same algorithm
+ *
+ * SWAP IDENTIFIERS:
+ * - swapId = keccak256(sender, recipient, hashLock, nonce), NOT the hashLock
+ * - nonce is a per-sender counter managed by the contract
+ * - Several swaps may share a hashLock, so nobody can block a swap by
+ *   locking dust under a hashLock they saw first (hashlock squatting)
+ *
+ * ERC-20 SWAPS:
+ * - initiateTokenSwap pulls tokens with transferFrom (approve the HTLC first)
+ * - The contract must receive exactly `amount`: fee-on-transfer and other
+ *   tokens that credit a different amount are rejected
+ * - claim/refund pay out in the swap's token; token == address(0) is native XTZ
+ *
+ * GASLESS CLAIMS (EIP-712):
+ * - The recipient signs Claim(swapId, relayer, fee, deadline) off-chain
+ * - Only that relayer may submit it, with the secret, via claimWithSignature
+ * - The relayer gets `fee` out of the swap, the recipient gets the rest
+ * - No replay: a swap can only be claimed once
+ *
+ * EXPIRATION EXTENSION:
+ * - The sender may push back the expiration of an OPEN swap with extendExpiration,
+ *   e.g. when the counterparty is slow, instead of refunding and starting over
+ * - Only before it expires: an expired swap is refund-only
+ * - Expirations only ever increase, so an extension never shortens the
+ *   recipient's window to claim
+ *
+ * MUTUAL CANCELLATION (EIP-712):
+ * - The recipient signs Cancel(swapId, deadline) to release an OPEN swap early
+ * - Anyone (usually the sender) submits it via cancelSwap; the funds only
+ *   ever go back to swap.sender, as with a refund
+ * - Swaps without a designated recipient cannot be cancelled early
+ *
+ * RECEIVER HOOK:
+ * - Contract recipients may opt in with setReceiverHook(true) to get an
+ *   IHTLCReceiver.onHTLCClaim call (swapId, token, amount, secret) after each claim pays them
+ * - The hook gets at most RECEIVER_HOOK_GAS and cannot undo the claim: a revert,
+ *   an out-of-gas or a wrong return value only shows in ReceiverHookCalled
+ * - A claim sent with too little gas for the hook reverts, so a relayer cannot
+ *   starve the hook on purpose
+ *
+ * LEG LINKAGE:
+ * - A swap may record the other leg it pays for (CounterpartLeg): chain,
+ *   the sender's receiving address there, expected amount and a free-form reference
+ * - Informational only - the contract never enforces it - but it lets the
+ *   counterparty check the lock against the terms they agreed to
+ *
+ * ENUMERATION:
+ * - Swap IDs are recorded per sender and per recipient at initiation
+ *   (open swaps are added to the claimer's list when claimed)
+ * - getSwapsBySender / getSwapsByRecipient / getSwapsByHashLock page through
+ *   them with details, so wallets never need to scan event logs
  */
 contract HTLC {
     // Status enum - aligned with Jstz (OPEN, CLAIMED, REFUNDED)
     enum SwapStatus { OPEN, CLAIMED, REFUNDED }
 
+    // Hash of the secret the hashLock was built with - aligned with Jstz (sha256, keccak256)
+    enum HashAlgorithm { SHA256, KECCAK256 }
+
     struct SwapDetails {
         address recipient;
         address payable sender;
@@ -29,31 +114,115 @@ contract HTLC {
         uint256 expiration;
         bytes32 hashLock;
         SwapStatus status;
+        address token;                  // address(0) for native XTZ
+        HashAlgorithm hashAlgorithm;
+    }
+
+    // The other leg of a cross-chain swap, as announced by the sender (all fields optional)
+    struct CounterpartLeg {
+        string chain;                   // e.g. "jstz" or "etherlink"
+        string account;                 // sender's receiving address on that chain (tz1... / 0x...)
+        uint256 amount;                 // expected counter-amount, in that chain's smallest unit
+        string ref;                     // free-form reference (e.g. the other leg's swapId)
     }
 
     mapping(bytes32 => SwapDetails) public swaps;
 
+    // Counterpart leg per swap (only stored when at least one field is set)
+    mapping(bytes32 => CounterpartLeg) private counterparts;
+
+    // Next nonce used to derive the swapId of each sender's swap
+    mapping(address => uint256) public nonces;
+
+    // All swapIds locked under a given hashLock (lookup by counterparties)
+    mapping(bytes32 => bytes32[]) private swapIdsByHashLock;
+
+    // All swapIds per sender and per recipient, in initiation order
+    mapping(address => bytes32[]) private swapIdsBySender;
+    mapping(address => bytes32[]) private swapIdsByRecipient;
+
+    // Largest page returned by the enumeration views
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    // Longest string accepted in a CounterpartLeg field, in bytes
+    uint256 public constant MAX_COUNTERPART_FIELD_LENGTH = 128;
+
+    // Gas forwarded to IHTLCReceiver.onHTLCClaim
+    uint256 public constant RECEIVER_HOOK_GAS = 200000;
+
+    // Recipients that opted in to the IHTLCReceiver hook
+    mapping(address => bool) public receiverHooks;
+
+    // Reentrancy lock for token deposits (balance is measured around transferFrom)
+    bool private locked;
+
+    // EIP-712 type hashes for gasless claims and mutual cancellations
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("Claim(bytes32 swapId,address relayer,uint256 fee,uint256 deadline)");
+    bytes32 public constant CANCEL_TYPEHASH =
+        keccak256("Cancel(bytes32 swapId,uint256 deadline)");
+
     // Events
+    // sender, recipient and hashLock are indexed so logs can be filtered by topic;
+    // the swapId stays in the data since an event carries at most three topics
     event SwapInitiated(
-        bytes32 indexed swapId,
-        address payable sender,
-        address recipient,
+        bytes32 swapId,
+        address payable indexed sender,
+        address indexed recipient,
         uint256 amount,
-        bytes32 hashLock,
-        uint256 expiration
+        bytes32 indexed hashLock,
+        uint256 expiration,
+        address token,
+        HashAlgorithm hashAlgorithm
     );
     
     event SwapClaimed(
         bytes32 indexed swapId,
         address claimer,
-        address recipient,
+        address indexed recipient,
+        bytes32 indexed hashLock,
         bytes secret
     );
     
     event SwapRefunded(
         bytes32 indexed swapId,
-        address sender,
-        uint256 amount
+        address indexed sender,
+        uint256 amount,
+        address refundedBy
+    );
+
+    event ClaimRelayed(
+        bytes32 indexed swapId,
+        address indexed relayer,
+        uint256 fee
+    );
+
+    event SwapExtended(
+        bytes32 indexed swapId,
+        address indexed sender,
+        uint256 oldExpiration,
+        uint256 newExpiration
+    );
+
+    event ReceiverHookSet(
+        address indexed receiver,
+        bool enabled
+    );
+
+    // Emitted after SwapClaimed when the recipient opted in to the hook
+    event ReceiverHookCalled(
+        bytes32 indexed swapId,
+        address indexed receiver,
+        bool success
+    );
+
+    // Emitted with SwapRefunded when the recipient agreed to an early refund
+    event SwapCancelled(
+        bytes32 indexed swapId,
+        address indexed sender,
+        address indexed recipient
     );
 
     // Errors
@@ -64,11 +233,21 @@ contract HTLC {
     error SwapNotOpen();
     error IncorrectSecretLength();      // NEW: secret must be 32 bytes
     error IncorrectHashLock();
-    error SwapExpired();                // NEW: claim blocked after expiration
+    error SwapExpired();                // NEW: claim and extension blocked after expiration
     error SwapNotExpiredYet();
-    error OnlySenderCanRefund();
     error UnauthorizedClaimer();        // NEW: only designated recipient can claim
     error TransferFailed();
+    error InvalidToken();
+    error TokenAmountMismatch();        // fee-on-transfer or rebasing token
+    error ReentrantCall();
+    error SignatureExpired();
+    error InvalidSignature();
+    error FeeExceedsAmount();
+    error CannotCancelOpenSwap();       // no designated recipient to agree
+    error UnauthorizedSender();         // only the sender can extend
+    error ExpirationNotIncreased();
+    error CounterpartFieldTooLong();
+    error InsufficientHookGas();        // claim sent with too little gas for the receiver hook
 
     modifier futureExpiration(uint256 time) {
         if (time <= block.timestamp) revert ExpirationMustBeInFuture();
@@ -85,17 +264,28 @@ contract HTLC {
         _;
     }
 
+    modifier nonReentrant() {
+        if (locked) revert ReentrantCall();
+        locked = true;
+        _;
+        locked = false;
+    }
+
     /**
      * @notice Initiate a new atomic swap
      * @param recipient The address that can claim the funds (use address(0) for open swaps)
-     * @param hashLock The SHA-256 hash of the 32-byte secret
+     * @param hashLock The hash of the 32-byte secret
      * @param expiration Unix timestamp when the swap expires
-     * @return swapId The unique identifier for this swap (same as hashLock)
+     * @param hashAlgorithm How hashLock was computed (SHA256 or KECCAK256)
+     * @param counterpart The other leg of the swap (pass empty fields to record nothing)
+     * @return swapId The unique identifier for this swap (see computeSwapId)
      */
     function initiateSwap(
         address recipient,
         bytes32 hashLock,
-        uint256 expiration
+        uint256 expiration,
+        HashAlgorithm hashAlgorithm,
+        CounterpartLeg calldata counterpart
     ) 
         external 
         payable 
@@ -104,34 +294,117 @@ contract HTLC {
     {
         if (msg.value == 0) revert AmountMustBeGreaterThanZero();
         
-        swapId = hashLock;
+        swapId = _createSwap(address(0), msg.value, recipient, hashLock, expiration, hashAlgorithm);
+        _setCounterpart(swapId, counterpart);
+    }
+
+    /**
+     * @notice Initiate a new atomic swap of ERC-20 tokens
+     * @dev The sender must first approve this contract for `amount`. Reverts if the
+     *      contract does not receive exactly `amount` (e.g. fee-on-transfer tokens)
+     * @param token The ERC-20 token to lock
+     * @param amount The amount of tokens to lock, in the token's smallest unit
+     * @param recipient The address that can claim the funds (use address(0) for open swaps)
+     * @param hashLock The hash of the 32-byte secret
+     * @param expiration Unix timestamp when the swap expires
+     * @param hashAlgorithm How hashLock was computed (SHA256 or KECCAK256)
+     * @param counterpart The other leg of the swap (pass empty fields to record nothing)
+     * @return swapId The unique identifier for this swap (see computeSwapId)
+     */
+    function initiateTokenSwap(
+        address token,
+        uint256 amount,
+        address recipient,
+        bytes32 hashLock,
+        uint256 expiration,
+        HashAlgorithm hashAlgorithm,
+        CounterpartLeg calldata counterpart
+    )
+        external
+        nonReentrant
+        futureExpiration(expiration)
+        returns (bytes32 swapId)
+    {
+        if (token == address(0) || token.code.length == 0) revert InvalidToken();
+        if (amount == 0) revert AmountMustBeGreaterThanZero();
+
+        // SECURITY: Only count what actually arrived
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), amount)));
+        if (IERC20(token).balanceOf(address(this)) - balanceBefore != amount) revert TokenAmountMismatch();
+
+        swapId = _createSwap(token, amount, recipient, hashLock, expiration, hashAlgorithm);
+        _setCounterpart(swapId, counterpart);
+    }
+
+    /**
+     * @dev Record a new OPEN swap for funds already held by the contract
+     */
+    function _createSwap(
+        address token,
+        uint256 amount,
+        address recipient,
+        bytes32 hashLock,
+        uint256 expiration,
+        HashAlgorithm hashAlgorithm
+    ) private returns (bytes32 swapId) {
+        uint256 nonce = nonces[msg.sender]++;
+        swapId = computeSwapId(msg.sender, recipient, hashLock, nonce);
         
+        // Defensive: unreachable while nonces only increase
         if (_swapExists(swapId)) revert SwapAlreadyExists();
 
         swaps[swapId] = SwapDetails({
             recipient: recipient,
             sender: payable(msg.sender),
-            amount: msg.value,
+            amount: amount,
             expiration: expiration,
             hashLock: hashLock,
-            status: SwapStatus.OPEN
+            status: SwapStatus.OPEN,
+            token: token,
+            hashAlgorithm: hashAlgorithm
         });
+        swapIdsByHashLock[hashLock].push(swapId);
+        swapIdsBySender[msg.sender].push(swapId);
+        if (recipient != address(0)) swapIdsByRecipient[recipient].push(swapId);
 
         emit SwapInitiated(
             swapId,
             payable(msg.sender),
             recipient,
-            msg.value,
+            amount,
             hashLock,
-            expiration
+            expiration,
+            token,
+            hashAlgorithm
         );
     }
 
+    /**
+     * @dev Record the counterpart leg of a new swap, if the sender gave one
+     */
+    function _setCounterpart(bytes32 swapId, CounterpartLeg calldata counterpart) private {
+        if (
+            bytes(counterpart.chain).length > MAX_COUNTERPART_FIELD_LENGTH ||
+            bytes(counterpart.account).length > MAX_COUNTERPART_FIELD_LENGTH ||
+            bytes(counterpart.ref).length > MAX_COUNTERPART_FIELD_LENGTH
+        ) revert CounterpartFieldTooLong();
+
+        if (
+            bytes(counterpart.chain).length != 0 ||
+            bytes(counterpart.account).length != 0 ||
+            counterpart.amount != 0 ||
+            bytes(counterpart.ref).length != 0
+        ) {
+            counterparts[swapId] = counterpart;
+        }
+    }
+
     /**
      * @notice Claim funds by revealing the secret
      * @dev Secret must be exactly 32 bytes (matches Jstz 0x + 64 hex format)
      * @dev Claim is BLOCKED after expiration (aligned with Jstz)
-     * @param swapId The swap identifier (hashLock)
+     * @param swapId The swap identifier returned by initiateSwap
      * @param secret The 32-byte preimage that hashes to the hashLock
      * @return success True if claim was successful
      */
@@ -152,8 +425,8 @@ contract HTLC {
         // 2. SECURITY: Secret must be exactly 32 bytes (aligned with Jstz)
         if (secret.length != 32) revert IncorrectSecretLength();
         
-        // 3. Verify the secret using SHA-256 (cross-chain compatible)
-        if (sha256(secret) != swap.hashLock) revert IncorrectHashLock();
+        // 3. Verify the secret with the swap's hash algorithm (cross-chain compatible)
+        if (_hashSecret(secret, swap.hashAlgorithm) != swap.hashLock) revert IncorrectHashLock();
         
         // 4. SECURITY: If recipient is specified, only that address can claim
         if (swap.recipient != address(0) && msg.sender != swap.recipient) {
@@ -168,22 +441,76 @@ contract HTLC {
         if (swap.recipient == address(0)) {
             claimRecipient = payable(msg.sender);
             swap.recipient = msg.sender;
+            swapIdsByRecipient[msg.sender].push(swapId);
         } else {
             claimRecipient = payable(swap.recipient);
         }
         
         // 6. Transfer funds
-        (bool sent, ) = claimRecipient.call{value: swap.amount}("");
-        if (!sent) revert TransferFailed();
+        _send(swap.token, claimRecipient, swap.amount);
         
-        emit SwapClaimed(swapId, msg.sender, claimRecipient, secret);
+        emit SwapClaimed(swapId, msg.sender, claimRecipient, swap.hashLock, secret);
+        _notifyReceiver(swapId, claimRecipient, swap.token, swap.amount, secret);
         
         return true;
     }
 
+    /**
+     * @notice Claim on behalf of the recipient, who signed an EIP-712 Claim off-chain
+     * @dev Lets a recipient with no XTZ for gas finish a swap: the relayer pays the gas
+     *      and takes `fee` (in the swap's token) out of the swap
+     * @param swapId The swap identifier returned by initiateSwap
+     * @param secret The 32-byte preimage that hashes to the hashLock
+     * @param fee The relayer's fee, as signed by the recipient
+     * @param deadline Unix timestamp after which the signature is void
+     * @param signature The recipient's 65-byte EIP-712 signature over Claim(swapId, msg.sender, fee, deadline)
+     * @return success True if claim was successful
+     */
+    function claimWithSignature(
+        bytes32 swapId,
+        bytes calldata secret,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata signature
+    )
+        external
+        swapExists(swapId)
+        swapIsOpen(swapId)
+        returns (bool success)
+    {
+        SwapDetails storage swap = swaps[swapId];
+
+        // 1. Same swap checks as claimSwap
+        if (block.timestamp >= swap.expiration) revert SwapExpired();
+        if (secret.length != 32) revert IncorrectSecretLength();
+        if (_hashSecret(secret, swap.hashAlgorithm) != swap.hashLock) revert IncorrectHashLock();
+
+        // 2. SECURITY: Open swaps have nobody to sign for them
+        if (swap.recipient == address(0)) revert UnauthorizedClaimer();
+
+        // 3. SECURITY: The recipient authorized this relayer (msg.sender) and fee
+        if (block.timestamp > deadline) revert SignatureExpired();
+        if (fee > swap.amount) revert FeeExceedsAmount();
+        if (_claimSigner(swapId, fee, deadline, signature) != swap.recipient) revert InvalidSignature();
+
+        // 4. Update status before transfer (reentrancy protection)
+        swap.status = SwapStatus.CLAIMED;
+
+        // 5. Transfer funds: fee to the relayer, the rest to the recipient
+        if (fee > 0) _send(swap.token, payable(msg.sender), fee);
+        _send(swap.token, payable(swap.recipient), swap.amount - fee);
+
+        emit SwapClaimed(swapId, msg.sender, swap.recipient, swap.hashLock, secret);
+        emit ClaimRelayed(swapId, msg.sender, fee);
+        _notifyReceiver(swapId, swap.recipient, swap.token, swap.amount - fee, secret);
+
+        return true;
+    }
+
     /**
      * @notice Refund funds to sender after expiration
-     * @param swapId The swap identifier (hashLock)
+     * @dev Callable by anyone (e.g. a watchtower) once expired; funds always go to swap.sender
+     * @param swapId The swap identifier returned by initiateSwap
      * @return success True if refund was successful
      */
     function refundSwap(bytes32 swapId) 
@@ -197,21 +524,103 @@ contract HTLC {
         // 1. Check expiration has passed
         if (block.timestamp < swap.expiration) revert SwapNotExpiredYet();
         
-        // 2. Only sender can refund
-        if (msg.sender != swap.sender) revert OnlySenderCanRefund();
-        
-        // 3. Update status before transfer (reentrancy protection)
+        // 2. Update status before transfer (reentrancy protection)
         swap.status = SwapStatus.REFUNDED;  // Renamed from EXPIRED for consistency
         
-        // 4. Transfer funds back to sender
-        (bool sent, ) = swap.sender.call{value: swap.amount}("");
-        if (!sent) revert TransferFailed();
+        // 3. Transfer funds back to sender (never to the caller)
+        _send(swap.token, swap.sender, swap.amount);
         
-        emit SwapRefunded(swapId, swap.sender, swap.amount);
+        emit SwapRefunded(swapId, swap.sender, swap.amount, msg.sender);
         
         return true;
     }
 
+    /**
+     * @notice Push back the expiration of an open swap
+     * @dev Sender only, and only before expiration: once the swap has expired the
+     *      sender is committed to refund-only, so a lapsed claim window never reopens
+     * @param swapId The swap identifier returned by initiateSwap
+     * @param newExpiration New Unix timestamp, later than both now and the current expiration
+     * @return success True if the expiration was extended
+     */
+    function extendExpiration(bytes32 swapId, uint256 newExpiration)
+        external
+        swapExists(swapId)
+        swapIsOpen(swapId)
+        futureExpiration(newExpiration)
+        returns (bool success)
+    {
+        SwapDetails storage swap = swaps[swapId];
+
+        // 1. SECURITY: Only the sender can give the recipient more time
+        if (msg.sender != swap.sender) revert UnauthorizedSender();
+
+        // 2. SECURITY: An expired swap can only be refunded (same boundary as claimSwap)
+        if (block.timestamp >= swap.expiration) revert SwapExpired();
+
+        // 3. SECURITY: Never shorten the recipient's window
+        uint256 oldExpiration = swap.expiration;
+        if (newExpiration <= oldExpiration) revert ExpirationNotIncreased();
+
+        swap.expiration = newExpiration;
+
+        emit SwapExtended(swapId, swap.sender, oldExpiration, newExpiration);
+
+        return true;
+    }
+
+    /**
+     * @notice Refund the sender before expiration, with the recipient's consent
+     * @dev The recipient signs an EIP-712 Cancel off-chain; anyone may submit it.
+     *      Marks the swap REFUNDED and emits SwapRefunded followed by SwapCancelled
+     * @param swapId The swap identifier returned by initiateSwap
+     * @param deadline Unix timestamp after which the signature is void
+     * @param signature The recipient's 65-byte EIP-712 signature over Cancel(swapId, deadline)
+     * @return success True if the cancellation was successful
+     */
+    function cancelSwap(
+        bytes32 swapId,
+        uint256 deadline,
+        bytes calldata signature
+    )
+        external
+        swapExists(swapId)
+        swapIsOpen(swapId)
+        returns (bool success)
+    {
+        SwapDetails storage swap = swaps[swapId];
+
+        // 1. SECURITY: Open swaps have nobody to agree to the cancellation
+        if (swap.recipient == address(0)) revert CannotCancelOpenSwap();
+
+        // 2. SECURITY: The recipient gave up their claim on this swap
+        if (block.timestamp > deadline) revert SignatureExpired();
+        bytes32 structHash = keccak256(abi.encode(CANCEL_TYPEHASH, swapId, deadline));
+        if (_recover(_typedDataDigest(structHash), signature) != swap.recipient) revert InvalidSignature();
+
+        // 3. Update status before transfer (reentrancy protection)
+        swap.status = SwapStatus.REFUNDED;
+
+        // 4. Transfer funds back to sender (never to the caller)
+        _send(swap.token, swap.sender, swap.amount);
+
+        emit SwapRefunded(swapId, swap.sender, swap.amount, msg.sender);
+        emit SwapCancelled(swapId, swap.sender, swap.recipient);
+
+        return true;
+    }
+
+    /**
+     * @notice Opt in to (or out of) the IHTLCReceiver hook on claims paid to the caller
+     * @dev Called by the receiving contract itself, so nobody can make the HTLC
+     *      call into a contract that did not ask for it
+     * @param enabled True to receive onHTLCClaim calls, false to stop
+     */
+    function setReceiverHook(bool enabled) external {
+        receiverHooks[msg.sender] = enabled;
+        emit ReceiverHookSet(msg.sender, enabled);
+    }
+
     /**
      * @notice Get swap details
      * @param swapId The swap identifier
@@ -221,6 +630,9 @@ contract HTLC {
      * @return expiration The expiration timestamp
      * @return hashLock The hashlock
      * @return status The current status (OPEN=0, CLAIMED=1, REFUNDED=2)
+     * @return token The locked ERC-20 token (address(0) for native XTZ)
+     * @return hashAlgorithm How the hashlock was computed (SHA256=0, KECCAK256=1)
+     * @return counterpart The other leg announced at initiation (empty fields if none)
      */
     function getSwap(bytes32 swapId) 
         external 
@@ -231,18 +643,132 @@ contract HTLC {
             uint256 amount,
             uint256 expiration,
             bytes32 hashLock,
-            SwapStatus status
+            SwapStatus status,
+            address token,
+            HashAlgorithm hashAlgorithm,
+            CounterpartLeg memory counterpart
         ) 
     {
+        // Assigned one by one: returning a tuple this wide runs out of stack slots
         SwapDetails storage swap = swaps[swapId];
-        return (
-            swap.recipient,
-            swap.sender,
-            swap.amount,
-            swap.expiration,
-            swap.hashLock,
-            swap.status
-        );
+        recipient = swap.recipient;
+        sender = swap.sender;
+        amount = swap.amount;
+        expiration = swap.expiration;
+        hashLock = swap.hashLock;
+        status = swap.status;
+        token = swap.token;
+        hashAlgorithm = swap.hashAlgorithm;
+        counterpart = counterparts[swapId];
+    }
+
+    /**
+     * @notice Derive the identifier of a swap
+     * @dev Binding sender and nonce means a third party reusing the same
+     *      hashLock always gets a different swapId
+     * @param sender The swap initiator
+     * @param recipient The designated recipient (address(0) for open swaps)
+     * @param hashLock The hash of the secret
+     * @param nonce The sender's nonce at initiation (see nonces)
+     * @return The swap identifier
+     */
+    function computeSwapId(
+        address sender,
+        address recipient,
+        bytes32 hashLock,
+        uint256 nonce
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(sender, recipient, hashLock, nonce));
+    }
+
+    /**
+     * @notice EIP-712 domain separator for gasless claims and cancellations
+     * @dev Computed on each call so it stays correct if the chain id changes
+     * @return The domain separator (name "HTLC", version "1")
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256("HTLC"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @notice Page through the swaps locked under a hashLock
+     * @dev Counterparties must filter by sender/recipient: anyone can add
+     *      swaps under a known hashLock, so the list has no bound of its own
+     * @param hashLock The hashLock to look up
+     * @param offset Index of the first swap to return (0 = oldest)
+     * @param limit Maximum number of swaps to return (capped at MAX_PAGE_SIZE)
+     * @return swapIds The swap identifiers, in initiation order
+     * @return details The matching swap details
+     * @return total The number of swaps locked under the hashLock
+     */
+    function getSwapsByHashLock(bytes32 hashLock, uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory swapIds, SwapDetails[] memory details, uint256 total)
+    {
+        return _page(swapIdsByHashLock[hashLock], offset, limit);
+    }
+
+    /**
+     * @notice Page through the swaps a sender initiated
+     * @param sender The swap initiator
+     * @param offset Index of the first swap to return (0 = oldest)
+     * @param limit Maximum number of swaps to return (capped at MAX_PAGE_SIZE)
+     * @return swapIds The swap identifiers, in initiation order
+     * @return details The matching swap details
+     * @return total The sender's total number of swaps
+     */
+    function getSwapsBySender(address sender, uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory swapIds, SwapDetails[] memory details, uint256 total)
+    {
+        return _page(swapIdsBySender[sender], offset, limit);
+    }
+
+    /**
+     * @notice Page through the swaps payable to a recipient
+     * @dev Includes open swaps the recipient claimed
+     * @param recipient The designated recipient
+     * @param offset Index of the first swap to return (0 = oldest)
+     * @param limit Maximum number of swaps to return (capped at MAX_PAGE_SIZE)
+     * @return swapIds The swap identifiers, in initiation order
+     * @return details The matching swap details
+     * @return total The recipient's total number of swaps
+     */
+    function getSwapsByRecipient(address recipient, uint256 offset, uint256 limit)
+        external
+        view
+        returns (bytes32[] memory swapIds, SwapDetails[] memory details, uint256 total)
+    {
+        return _page(swapIdsByRecipient[recipient], offset, limit);
+    }
+
+    /**
+     * @dev Slice a list of swapIds and load their details
+     */
+    function _page(bytes32[] storage ids, uint256 offset, uint256 limit)
+        private
+        view
+        returns (bytes32[] memory swapIds, SwapDetails[] memory details, uint256 total)
+    {
+        total = ids.length;
+        if (limit > MAX_PAGE_SIZE) limit = MAX_PAGE_SIZE;
+        uint256 count = offset >= total ? 0 : total - offset;
+        if (count > limit) count = limit;
+
+        swapIds = new bytes32[](count);
+        details = new SwapDetails[](count);
+        for (uint256 i = 0; i < count; i++) {
+            swapIds[i] = ids[offset + i];
+            details[i] = swaps[swapIds[i]];
+        }
     }
 
     /**
@@ -254,6 +780,13 @@ contract HTLC {
         return _swapExists(swapId);
     }
 
+    /**
+     * @dev Hash a secret with the algorithm its swap was initiated with
+     */
+    function _hashSecret(bytes calldata secret, HashAlgorithm hashAlgorithm) private pure returns (bytes32) {
+        return hashAlgorithm == HashAlgorithm.KECCAK256 ? keccak256(secret) : sha256(secret);
+    }
+
     /**
      * @dev Internal function to check swap existence
      */
@@ -261,9 +794,102 @@ contract HTLC {
         return swaps[swapId].sender != address(0);
     }
 
+    /**
+     * @dev Send funds, in native XTZ (token == address(0)) or in an ERC-20 token
+     */
+    function _send(address token, address payable to, uint256 amount) private {
+        if (token == address(0)) {
+            (bool sent, ) = to.call{value: amount}("");
+            if (!sent) revert TransferFailed();
+        } else {
+            _callToken(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+        }
+    }
+
+    /**
+     * @dev Call IHTLCReceiver.onHTLCClaim on a recipient that opted in. Never reverts
+     *      on the receiver's behalf: at most RECEIVER_HOOK_GAS is forwarded and at most
+     *      32 bytes of return data are copied, so a reverting, gas-burning or
+     *      return-bombing receiver only gets success = false. The answer must be the
+     *      selector as one ABI word; a short or dirty-padded answer counts as false
+     */
+    function _notifyReceiver(
+        bytes32 swapId,
+        address receiver,
+        address token,
+        uint256 amount,
+        bytes calldata secret
+    ) private {
+        if (!receiverHooks[receiver]) return;
+
+        bytes memory data = abi.encodeCall(IHTLCReceiver.onHTLCClaim, (swapId, token, amount, secret));
+        // ABI encoding of the expected bytes4: the selector in the high bytes, zero padded
+        bytes32 expected = bytes32(IHTLCReceiver.onHTLCClaim.selector);
+        bool success;
+        bool accepted;
+        assembly {
+            success := call(RECEIVER_HOOK_GAS, receiver, 0, add(data, 32), mload(data), 0, 32)
+            // A short answer leaves stale scratch memory at 0: only a full word counts
+            accepted := and(success, and(iszero(lt(returndatasize(), 32)), eq(mload(0), expected)))
+        }
+        // SECURITY: Less than 1/63 of the cap left means the caller withheld gas (EIP-150),
+        // so the receiver may have failed for lack of it: make the caller retry with more
+        if (!success && gasleft() <= RECEIVER_HOOK_GAS / 63) revert InsufficientHookGas();
+
+        emit ReceiverHookCalled(swapId, receiver, accepted);
+    }
+
+    /**
+     * @dev Recover who signed Claim(swapId, msg.sender, fee, deadline). A signature made
+     *      for another relayer or fee recovers to an unrelated address
+     */
+    function _claimSigner(
+        bytes32 swapId,
+        uint256 fee,
+        uint256 deadline,
+        bytes calldata signature
+    ) private view returns (address) {
+        bytes32 structHash = keccak256(abi.encode(CLAIM_TYPEHASH, swapId, msg.sender, fee, deadline));
+        return _recover(_typedDataDigest(structHash), signature);
+    }
+
+    /**
+     * @dev EIP-712 digest of a struct hash under this contract's domain
+     */
+    function _typedDataDigest(bytes32 structHash) private view returns (bytes32) {
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @dev Recover the signer of an EIP-712 digest, rejecting malleable signatures
+     */
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address signer) {
+        if (signature.length != 65) revert InvalidSignature();
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 sv = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        // Upper bound of s from EIP-2 (secp256k1n / 2)
+        if (uint256(sv) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) revert InvalidSignature();
+        if (v != 27 && v != 28) revert InvalidSignature();
+        signer = ecrecover(digest, v, r, sv);
+        if (signer == address(0)) revert InvalidSignature();
+    }
+
+    /**
+     * @dev Call a token, accepting both tokens that return a bool and tokens
+     *      that return nothing (e.g. USDT)
+     */
+    function _callToken(address token, bytes memory data) private {
+        (bool success, bytes memory returndata) = token.call(data);
+        if (!success || (returndata.length != 0 && !abi.decode(returndata, (bool)))) {
+            revert TransferFailed();
+        }
+    }
+
     /**
      * @notice Get contract balance
-     * @dev For transparency - anyone can verify locked funds
+     * @dev For transparency - anyone can verify locked funds (native XTZ only;
+     *      use the token's balanceOf for ERC-20 swaps)
      */
     function getBalance() external view returns (uint256) {
         return address(this).balance;
@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../HTLC.sol";
+
+/**
+ * @title GoodReceiver - Records every onHTLCClaim call and acknowledges it
+ * @dev NOT for production: test double for the IHTLCReceiver hook
+ */
+contract GoodReceiver is IHTLCReceiver {
+    bytes32 public lastSwapId;
+    address public lastToken;
+    uint256 public lastAmount;
+    bytes32 public lastSecret;
+    uint256 public calls;
+
+    function optIn(HTLC htlc, bool enabled) external {
+        htlc.setReceiverHook(enabled);
+    }
+
+    function claim(HTLC htlc, bytes32 swapId, bytes calldata secret) external {
+        htlc.claimSwap(swapId, secret);
+    }
+
+    function onHTLCClaim(bytes32 swapId, address token, uint256 amount, bytes calldata secret)
+        external
+        virtual
+        returns (bytes4)
+    {
+        lastSwapId = swapId;
+        lastToken = token;
+        lastAmount = amount;
+        lastSecret = bytes32(secret);
+        calls++;
+        return IHTLCReceiver.onHTLCClaim.selector;
+    }
+
+    receive() external payable {}
+}
+
+/**
+ * @title RevertingReceiver - Reverts inside the hook
+ */
+contract RevertingReceiver is GoodReceiver {
+    function onHTLCClaim(bytes32, address, uint256, bytes calldata) external pure override returns (bytes4) {
+        revert("receiver says no");
+    }
+}
+
+/**
+ * @title GasBurningReceiver - Loops until it runs out of gas
+ */
+contract GasBurningReceiver is GoodReceiver {
+    uint256 public counter;
+
+    function onHTLCClaim(bytes32, address, uint256, bytes calldata) external override returns (bytes4) {
+        while (true) {
+            counter++;
+        }
+        return IHTLCReceiver.onHTLCClaim.selector;
+    }
+}
+
+/**
+ * @title WrongAnswerReceiver - Returns something other than the selector
+ */
+contract WrongAnswerReceiver is GoodReceiver {
+    function onHTLCClaim(bytes32, address, uint256, bytes calldata) external pure override returns (bytes4) {
+        return 0xdeadbeef;
+    }
+}
+
+/**
+ * @title ShortAnswerReceiver - Returns only the 4 selector bytes instead of a full ABI word
+ */
+contract ShortAnswerReceiver is GoodReceiver {
+    function onHTLCClaim(bytes32, address, uint256, bytes calldata) external pure override returns (bytes4) {
+        bytes4 selector = IHTLCReceiver.onHTLCClaim.selector;
+        assembly {
+            mstore(0, selector)
+            return(0, 4)
+        }
+    }
+}
+
+/**
+ * @title DirtyAnswerReceiver - Returns the selector with garbage in the padding bytes
+ */
+contract DirtyAnswerReceiver is GoodReceiver {
+    function onHTLCClaim(bytes32, address, uint256, bytes calldata) external pure override returns (bytes4) {
+        bytes4 selector = IHTLCReceiver.onHTLCClaim.selector;
+        assembly {
+            mstore(0, or(selector, 0xff))
+            return(0, 32)
+        }
+    }
+}
+
+/**
+ * @title ReturnBombReceiver - Reverts with a huge payload to make the caller pay for copying it
+ */
+contract ReturnBombReceiver is GoodReceiver {
+    function onHTLCClaim(bytes32, address, uint256, bytes calldata) external pure override returns (bytes4) {
+        assembly {
+            revert(0, 100000)
+        }
+    }
+}
+
+/**
+ * @title ReentrantReceiver - Tries to claim the same swap again from the hook
+ */
+contract ReentrantReceiver is GoodReceiver {
+    bool public reentered;
+
+    function onHTLCClaim(bytes32 swapId, address, uint256, bytes calldata secret) external override returns (bytes4) {
+        (reentered, ) = msg.sender.call(abi.encodeCall(HTLC.claimSwap, (swapId, secret)));
+        return IHTLCReceiver.onHTLCClaim.selector;
+    }
+}
@@ -1,5 +1,22 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+
+// Where the frontend and test scenarios load the HTLC ABI from
+const ABI_EXPORT_PATH = path.join(__dirname, "abi", "HTLC.json");
+
+// Export the HTLC ABI from the compiled artifact after every compile, so the
+// browser code never carries hand-copied event or function signatures
+task(TASK_COMPILE).setAction(async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  const { contractName, sourceName, abi } = await hre.artifacts.readArtifact("HTLC");
+  fs.mkdirSync(path.dirname(ABI_EXPORT_PATH), { recursive: true });
+  fs.writeFileSync(ABI_EXPORT_PATH, JSON.stringify({ contractName, sourceName, abi }, null, 2) + "\n");
+  return result;
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
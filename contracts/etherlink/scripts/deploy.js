@@ -23,6 +23,22 @@ async function main() {
   console.log("   Chain ID:", (await hre.ethers.provider.getNetwork()).chainId.toString());
   console.log("   Block:", await hre.ethers.provider.getBlockNumber());
   
+  // Local networks: deploy a mintable test token so ERC-20 swaps can be tried out
+  let testTokenAddress = null;
+  if (["hardhat", "localhost"].includes(hre.network.name)) {
+    const TestToken = await hre.ethers.getContractFactory("TestToken");
+    const testToken = await TestToken.deploy("Test USD", "tUSD");
+    await testToken.waitForDeployment();
+    testTokenAddress = await testToken.getAddress();
+
+    const signers = await hre.ethers.getSigners();
+    for (const signer of signers.slice(0, 3)) {
+      await testToken.mint(signer.address, hre.ethers.parseEther("10000"));
+    }
+    console.log("\n🪙 Test token (tUSD) deployed to:", testTokenAddress);
+    console.log("   Minted 10000 tUSD to the first 3 accounts");
+  }
+  
   console.log("\n💡 Next steps:");
   console.log("   1. Update the contract address in your frontend");
   console.log("   2. Verify the contract on the block explorer (if available)");
@@ -32,6 +48,7 @@ async function main() {
   const deploymentInfo = {
     network: hre.network.name,
     contractAddress: contractAddress,
+    testTokenAddress: testTokenAddress,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
     chainId: (await hre.ethers.provider.getNetwork()).chainId.toString()
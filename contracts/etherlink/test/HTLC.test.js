@@ -1,6 +1,23 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+// HTLC.HashAlgorithm
+const SHA256 = 0;
+const KECCAK256 = 1;
+
+// HTLC.CounterpartLeg with every field empty: nothing is recorded
+const NO_COUNTERPART = { chain: "", account: "", amount: 0, ref: "" };
+
+// Initiate a swap and return the swapId emitted in SwapInitiated
+async function initiate(htlc, signer, recipient, hashLock, expiration, value, hashAlgorithm = SHA256, counterpart = NO_COUNTERPART) {
+  const tx = await htlc.connect(signer).initiateSwap(recipient, hashLock, expiration, hashAlgorithm, counterpart, { value });
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => htlc.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "SwapInitiated");
+  return event.args.swapId;
+}
+
 describe("HTLC Contract (Hardened v2.0)", function () {
   let htlc;
   let owner;
@@ -36,14 +53,18 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600; // 1 hour from now
 
+      const swapId = await htlc.computeSwapId(alice.address, bob.address, hashLock, 0);
+
       await expect(
-        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount })
+        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, SHA256, NO_COUNTERPART, { value: amount })
       )
         .to.emit(htlc, "SwapInitiated")
-        .withArgs(hashLock, alice.address, bob.address, amount, hashLock, expiration);
+        .withArgs(swapId, alice.address, bob.address, amount, hashLock, expiration, ethers.ZeroAddress, SHA256);
       
-      // Verify swap exists
-      expect(await htlc.swapPresent(hashLock)).to.be.true;
+      // Verify swap exists under the derived id, not the hashlock
+      expect(await htlc.swapPresent(swapId)).to.be.true;
+      expect(await htlc.swapPresent(hashLock)).to.be.false;
+      expect(await htlc.nonces(alice.address)).to.equal(1);
     });
 
     it("Should fail if amount is 0", async function () {
@@ -51,7 +72,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const expiration = currentBlock.timestamp + 3600;
       
       await expect(
-        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: 0 })
+        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, SHA256, NO_COUNTERPART, { value: 0 })
       ).to.be.revertedWithCustomError(htlc, "AmountMustBeGreaterThanZero");
     });
 
@@ -61,37 +82,80 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const expiration = currentBlock.timestamp - 100; // Past
 
       await expect(
-        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount })
+        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, SHA256, NO_COUNTERPART, { value: amount })
       ).to.be.revertedWithCustomError(htlc, "ExpirationMustBeInFuture");
     });
 
-    it("Should fail if swap already exists", async function () {
+    it("Should give distinct ids to swaps reusing a hashlock", async function () {
       const amount = ethers.parseEther("1.0");
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600;
 
-      // First swap succeeds
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount });
+      const first = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const second = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
 
-      // Second swap with same hashlock should fail
-      await expect(
-        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount })
-      ).to.be.revertedWithCustomError(htlc, "SwapAlreadyExists");
+      expect(first).to.not.equal(second);
+      const [swapIds, details, total] = await htlc.getSwapsByHashLock(hashLock, 0, 10);
+      expect(total).to.equal(2);
+      expect(swapIds).to.deep.equal([first, second]);
+      expect(details[1].sender).to.equal(alice.address);
+    });
+
+    it("Should page the swaps under a hashlock", async function () {
+      const amount = ethers.parseEther("0.1");
+      const currentBlock = await ethers.provider.getBlock('latest');
+      const expiration = currentBlock.timestamp + 3600;
+      const ids = [];
+      for (let i = 0; i < 4; i++) {
+        ids.push(await initiate(htlc, alice, bob.address, hashLock, expiration, amount));
+      }
+
+      const [page, , total] = await htlc.getSwapsByHashLock(hashLock, 2, 10);
+      expect(total).to.equal(4);
+      expect(page).to.deep.equal([ids[2], ids[3]]);
+
+      const [capped] = await htlc.getSwapsByHashLock(hashLock, 0, 1000);
+      expect(capped).to.have.length(4);
+    });
+
+    it("Should not let a squatter block a swap by reusing its hashlock", async function () {
+      const [, , , mallory] = await ethers.getSigners();
+      const amount = ethers.parseEther("1.0");
+      const currentBlock = await ethers.provider.getBlock('latest');
+      const expiration = currentBlock.timestamp + 3600;
+
+      // Mallory front-runs with 1 wei under the same hashlock
+      const squatId = await initiate(htlc, mallory, bob.address, hashLock, expiration, 1n);
+
+      // Alice's swap still goes through with its own id
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      expect(swapId).to.not.equal(squatId);
+
+      const swap = await htlc.getSwap(swapId);
+      expect(swap.sender).to.equal(alice.address);
+      expect(swap.amount).to.equal(amount);
+
+      // Bob claims Alice's swap, the squatter's swap is untouched
+      await expect(htlc.connect(bob).claimSwap(swapId, secret))
+        .to.emit(htlc, "SwapClaimed");
+      expect((await htlc.getSwap(squatId)).status).to.equal(0); // OPEN
     });
   });
 
   describe("Claim Swap", function () {
+    let swapId;
+
     beforeEach(async function () {
       const amount = ethers.parseEther("1.0");
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600; // 1 hour
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount });
+      swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
     });
 
     it("Should claim swap with correct 32-byte secret", async function () {
       const bobBalanceBefore = await ethers.provider.getBalance(bob.address);
       
-      await expect(htlc.connect(bob).claimSwap(hashLock, secret))
+      await expect(htlc.connect(bob).claimSwap(swapId, secret))
         .to.emit(htlc, "SwapClaimed");
       
       const bobBalanceAfter = await ethers.provider.getBalance(bob.address);
@@ -104,7 +168,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const wrongSecret = ethers.randomBytes(32); // Different 32 bytes
       
       await expect(
-        htlc.connect(bob).claimSwap(hashLock, wrongSecret)
+        htlc.connect(bob).claimSwap(swapId, wrongSecret)
       ).to.be.revertedWithCustomError(htlc, "IncorrectHashLock");
     });
 
@@ -112,7 +176,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const shortSecret = ethers.toUtf8Bytes("short"); // Only 5 bytes
       
       await expect(
-        htlc.connect(bob).claimSwap(hashLock, shortSecret)
+        htlc.connect(bob).claimSwap(swapId, shortSecret)
       ).to.be.revertedWithCustomError(htlc, "IncorrectSecretLength");
     });
 
@@ -120,7 +184,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const longSecret = ethers.randomBytes(64); // 64 bytes instead of 32
       
       await expect(
-        htlc.connect(bob).claimSwap(hashLock, longSecret)
+        htlc.connect(bob).claimSwap(swapId, longSecret)
       ).to.be.revertedWithCustomError(htlc, "IncorrectSecretLength");
     });
 
@@ -133,7 +197,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const shortExpiration = currentBlock.timestamp + 60; // 60 seconds
 
-      await htlc.connect(alice).initiateSwap(bob.address, newHashLock, shortExpiration, { value: amount });
+      const newSwapId = await initiate(htlc, alice, bob.address, newHashLock, shortExpiration, amount);
 
       // Fast forward time past expiration
       await ethers.provider.send("evm_increaseTime", [120]); // 2 minutes
@@ -141,7 +205,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
 
       // Claim should fail after expiration
       await expect(
-        htlc.connect(bob).claimSwap(newHashLock, newSecret)
+        htlc.connect(bob).claimSwap(newSwapId, newSecret)
       ).to.be.revertedWithCustomError(htlc, "SwapExpired");
     });
 
@@ -153,15 +217,17 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600;
 
-      await htlc.connect(alice).initiateSwap(
+      const newSwapId = await initiate(
+        htlc,
+        alice,
         ethers.ZeroAddress, 
-        newHashLock, 
-        expiration, 
-        { value: amount }
+        newHashLock,
+        expiration,
+        amount
       );
 
       // Anyone (bob) can claim with correct secret
-      await expect(htlc.connect(bob).claimSwap(newHashLock, newSecret))
+      await expect(htlc.connect(bob).claimSwap(newSwapId, newSecret))
         .to.emit(htlc, "SwapClaimed");
     });
 
@@ -173,16 +239,18 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600;
 
-      await htlc.connect(alice).initiateSwap(
+      const newSwapId = await initiate(
+        htlc,
+        alice,
         bob.address,  // Bob is the designated recipient
-        newHashLock, 
-        expiration, 
-        { value: amount }
+        newHashLock,
+        expiration,
+        amount
       );
 
       // Alice (not bob) tries to claim - should fail
       await expect(
-        htlc.connect(alice).claimSwap(newHashLock, newSecret)
+        htlc.connect(alice).claimSwap(newSwapId, newSecret)
       ).to.be.revertedWithCustomError(htlc, "UnauthorizedClaimer");
     });
 
@@ -194,15 +262,17 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600;
 
-      await htlc.connect(alice).initiateSwap(
+      const newSwapId = await initiate(
+        htlc,
+        alice,
         bob.address,  // Bob is the designated recipient
-        newHashLock, 
-        expiration, 
-        { value: amount }
+        newHashLock,
+        expiration,
+        amount
       );
 
       // Bob (designated recipient) claims - should succeed
-      await expect(htlc.connect(bob).claimSwap(newHashLock, newSecret))
+      await expect(htlc.connect(bob).claimSwap(newSwapId, newSecret))
         .to.emit(htlc, "SwapClaimed");
     });
   });
@@ -215,7 +285,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const shortExpiration = currentBlock.timestamp + 60; // 60 seconds from now
       
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, shortExpiration, { value: amount });
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, shortExpiration, amount);
 
       const aliceBalanceBefore = await ethers.provider.getBalance(alice.address);
 
@@ -223,8 +293,9 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       await ethers.provider.send("evm_increaseTime", [120]); // 2 minutes
       await ethers.provider.send("evm_mine");
 
-      await expect(htlc.connect(alice).refundSwap(hashLock))
-        .to.emit(htlc, "SwapRefunded");
+      await expect(htlc.connect(alice).refundSwap(swapId))
+        .to.emit(htlc, "SwapRefunded")
+        .withArgs(swapId, alice.address, amount, alice.address);
       
       const aliceBalanceAfter = await ethers.provider.getBalance(alice.address);
       expect(aliceBalanceAfter).to.be.gt(aliceBalanceBefore);
@@ -236,30 +307,48 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600; // 1 hour
       
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount });
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
 
       // Try to refund immediately (before expiration)
       await expect(
-        htlc.connect(alice).refundSwap(hashLock)
+        htlc.connect(alice).refundSwap(swapId)
       ).to.be.revertedWithCustomError(htlc, "SwapNotExpiredYet");
     });
 
-    it("Should fail if not the sender", async function () {
+    it("Should let anyone trigger the refund, paying only the sender", async function () {
       const amount = ethers.parseEther("1.0");
       
       const currentBlock = await ethers.provider.getBlock('latest');
       const shortExpiration = currentBlock.timestamp + 60;
       
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, shortExpiration, { value: amount });
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, shortExpiration, amount);
 
       // Fast forward time
       await ethers.provider.send("evm_increaseTime", [120]);
       await ethers.provider.send("evm_mine");
 
-      // Bob tries to refund Alice's swap
+      // A watchtower refunds Alice's expired swap on her behalf
+      const [, , , watchtower] = await ethers.getSigners();
+      await expect(htlc.connect(watchtower).refundSwap(swapId))
+        .to.changeEtherBalances([alice, watchtower, htlc], [amount, 0, -amount]);
+
+      const filter = htlc.filters.SwapRefunded(swapId);
+      const [event] = await htlc.queryFilter(filter);
+      expect(event.args.sender).to.equal(alice.address);
+      expect(event.args.refundedBy).to.equal(watchtower.address);
+    });
+
+    it("Should not let a third party refund before expiration", async function () {
+      const amount = ethers.parseEther("1.0");
+      
+      const currentBlock = await ethers.provider.getBlock('latest');
+      const expiration = currentBlock.timestamp + 3600;
+      
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
       await expect(
-        htlc.connect(bob).refundSwap(hashLock)
-      ).to.be.revertedWithCustomError(htlc, "OnlySenderCanRefund");
+        htlc.connect(bob).refundSwap(swapId)
+      ).to.be.revertedWithCustomError(htlc, "SwapNotExpiredYet");
     });
 
     it("Should fail to refund after claim", async function () {
@@ -267,10 +356,10 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const shortExpiration = currentBlock.timestamp + 300; // 5 minutes
       
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, shortExpiration, { value: amount });
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, shortExpiration, amount);
 
       // Bob claims successfully
-      await htlc.connect(bob).claimSwap(hashLock, secret);
+      await htlc.connect(bob).claimSwap(swapId, secret);
 
       // Fast forward past expiration
       await ethers.provider.send("evm_increaseTime", [400]);
@@ -278,7 +367,7 @@ describe("HTLC Contract (Hardened v2.0)", function () {
 
       // Alice tries to refund a claimed swap
       await expect(
-        htlc.connect(alice).refundSwap(hashLock)
+        htlc.connect(alice).refundSwap(swapId)
       ).to.be.revertedWithCustomError(htlc, "SwapNotOpen");
     });
   });
@@ -289,14 +378,15 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600;
 
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount });
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
 
-      const swap = await htlc.getSwap(hashLock);
+      const swap = await htlc.getSwap(swapId);
       expect(swap.recipient).to.equal(bob.address);
       expect(swap.sender).to.equal(alice.address);
       expect(swap.amount).to.equal(amount);
       expect(swap.hashLock).to.equal(hashLock);
       expect(swap.status).to.equal(0); // OPEN
+      expect(swap.token).to.equal(ethers.ZeroAddress); // native XTZ
     });
 
     it("Should show CLAIMED status after claim", async function () {
@@ -304,10 +394,10 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const expiration = currentBlock.timestamp + 3600;
 
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, { value: amount });
-      await htlc.connect(bob).claimSwap(hashLock, secret);
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      await htlc.connect(bob).claimSwap(swapId, secret);
 
-      const swap = await htlc.getSwap(hashLock);
+      const swap = await htlc.getSwap(swapId);
       expect(swap.status).to.equal(1); // CLAIMED
     });
 
@@ -316,19 +406,539 @@ describe("HTLC Contract (Hardened v2.0)", function () {
       const currentBlock = await ethers.provider.getBlock('latest');
       const shortExpiration = currentBlock.timestamp + 60;
 
-      await htlc.connect(alice).initiateSwap(bob.address, hashLock, shortExpiration, { value: amount });
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, shortExpiration, amount);
 
       // Fast forward past expiration
       await ethers.provider.send("evm_increaseTime", [120]);
       await ethers.provider.send("evm_mine");
 
-      await htlc.connect(alice).refundSwap(hashLock);
+      await htlc.connect(alice).refundSwap(swapId);
 
-      const swap = await htlc.getSwap(hashLock);
+      const swap = await htlc.getSwap(swapId);
       expect(swap.status).to.equal(2); // REFUNDED (was EXPIRED)
     });
   });
 
+  describe("Swap Enumeration", function () {
+    const amount = ethers.parseEther("0.1");
+    let expiration;
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+    });
+
+    it("Should list a sender's swaps with their details", async function () {
+      const first = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const second = await initiate(htlc, alice, owner.address, ethers.sha256(ethers.randomBytes(32)), expiration, amount * 2n);
+
+      const [swapIds, details, total] = await htlc.getSwapsBySender(alice.address, 0, 10);
+      expect(total).to.equal(2);
+      expect(swapIds).to.deep.equal([first, second]);
+      expect(details[0].recipient).to.equal(bob.address);
+      expect(details[1].amount).to.equal(amount * 2n);
+      expect(details[1].status).to.equal(0); // OPEN
+    });
+
+    it("Should list a recipient's swaps", async function () {
+      const fromAlice = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      await initiate(htlc, alice, owner.address, hashLock, expiration, amount);
+      const fromOwner = await initiate(htlc, owner, bob.address, hashLock, expiration, amount);
+
+      const [swapIds, , total] = await htlc.getSwapsByRecipient(bob.address, 0, 10);
+      expect(total).to.equal(2);
+      expect(swapIds).to.deep.equal([fromAlice, fromOwner]);
+    });
+
+    it("Should page with offset and limit", async function () {
+      const ids = [];
+      for (let i = 0; i < 5; i++) {
+        ids.push(await initiate(htlc, alice, bob.address, hashLock, expiration, amount));
+      }
+
+      const [page, , total] = await htlc.getSwapsBySender(alice.address, 1, 2);
+      expect(total).to.equal(5);
+      expect(page).to.deep.equal([ids[1], ids[2]]);
+
+      const [tail] = await htlc.getSwapsBySender(alice.address, 4, 10);
+      expect(tail).to.deep.equal([ids[4]]);
+
+      const [past] = await htlc.getSwapsBySender(alice.address, 9, 10);
+      expect(past).to.deep.equal([]);
+    });
+
+    it("Should add open swaps to the claimer's list", async function () {
+      const swapId = await initiate(htlc, alice, ethers.ZeroAddress, hashLock, expiration, amount);
+      expect((await htlc.getSwapsByRecipient(bob.address, 0, 10)).total).to.equal(0);
+
+      await htlc.connect(bob).claimSwap(swapId, secret);
+
+      const [swapIds, details] = await htlc.getSwapsByRecipient(bob.address, 0, 10);
+      expect(swapIds).to.deep.equal([swapId]);
+      expect(details[0].status).to.equal(1); // CLAIMED
+    });
+  });
+
+  describe("Indexed Events", function () {
+    const amount = ethers.parseEther("0.1");
+    let expiration;
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+    });
+
+    it("Should filter SwapInitiated by sender, recipient and hashLock", async function () {
+      const otherLock = ethers.sha256(ethers.randomBytes(32));
+      const mine = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      await initiate(htlc, alice, owner.address, otherLock, expiration, amount);
+      await initiate(htlc, owner, bob.address, otherLock, expiration, amount);
+
+      const bySender = await htlc.queryFilter(htlc.filters.SwapInitiated(null, alice.address));
+      expect(bySender).to.have.length(2);
+
+      const byRecipient = await htlc.queryFilter(htlc.filters.SwapInitiated(null, null, bob.address));
+      expect(byRecipient).to.have.length(2);
+
+      const byLock = await htlc.queryFilter(htlc.filters.SwapInitiated(null, null, null, null, hashLock));
+      expect(byLock.map((e) => e.args.swapId)).to.deep.equal([mine]);
+    });
+
+    it("Should filter SwapClaimed by hashLock to find the revealed secret", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      await htlc.connect(bob).claimSwap(swapId, secret);
+
+      const [event] = await htlc.queryFilter(htlc.filters.SwapClaimed(null, null, null, hashLock));
+      expect(event.args.swapId).to.equal(swapId);
+      expect(event.args.recipient).to.equal(bob.address);
+      expect(event.args.secret).to.equal(ethers.hexlify(secret));
+
+      const forOwner = await htlc.queryFilter(htlc.filters.SwapClaimed(null, null, owner.address));
+      expect(forOwner).to.have.length(0);
+    });
+  });
+
+  describe("ERC-20 Swaps", function () {
+    const amount = ethers.parseEther("100");
+    let token;
+    let htlcAddress;
+    let expiration;
+
+    // Initiate a token swap and return the swapId emitted in SwapInitiated
+    async function initiateToken(signer, recipient, lockedAmount = amount) {
+      const tx = await htlc.connect(signer).initiateTokenSwap(
+        await token.getAddress(), lockedAmount, recipient, hashLock, expiration, SHA256, NO_COUNTERPART
+      );
+      const receipt = await tx.wait();
+      return receipt.logs
+        .map((log) => htlc.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "SwapInitiated").args.swapId;
+    }
+
+    beforeEach(async function () {
+      const TestToken = await ethers.getContractFactory("TestToken");
+      token = await TestToken.deploy("Test USD", "tUSD");
+      await token.waitForDeployment();
+      htlcAddress = await htlc.getAddress();
+
+      await token.mint(alice.address, amount);
+      await token.connect(alice).approve(htlcAddress, amount);
+
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+    });
+
+    it("Should lock tokens with transferFrom", async function () {
+      const swapId = await htlc.computeSwapId(alice.address, bob.address, hashLock, 0);
+      const tokenAddress = await token.getAddress();
+
+      await expect(
+        htlc.connect(alice).initiateTokenSwap(tokenAddress, amount, bob.address, hashLock, expiration, SHA256, NO_COUNTERPART)
+      )
+        .to.emit(htlc, "SwapInitiated")
+        .withArgs(swapId, alice.address, bob.address, amount, hashLock, expiration, tokenAddress, SHA256);
+
+      expect(await token.balanceOf(htlcAddress)).to.equal(amount);
+      const swap = await htlc.getSwap(swapId);
+      expect(swap.token).to.equal(tokenAddress);
+      expect(swap.amount).to.equal(amount);
+    });
+
+    it("Should pay the recipient in tokens on claim", async function () {
+      const swapId = await initiateToken(alice, bob.address);
+
+      await expect(htlc.connect(bob).claimSwap(swapId, secret))
+        .to.changeTokenBalances(token, [bob, htlc], [amount, -amount]);
+    });
+
+    it("Should refund tokens to the sender, whoever triggers it", async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 60;
+      const swapId = await initiateToken(alice, bob.address);
+
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(htlc.connect(bob).refundSwap(swapId))
+        .to.changeTokenBalances(token, [alice, bob, htlc], [amount, 0, -amount]);
+    });
+
+    it("Should fail without enough allowance", async function () {
+      await token.connect(alice).approve(htlcAddress, amount - 1n);
+
+      await expect(
+        htlc.connect(alice).initiateTokenSwap(await token.getAddress(), amount, bob.address, hashLock, expiration, SHA256, NO_COUNTERPART)
+      ).to.be.revertedWithCustomError(htlc, "TransferFailed");
+    });
+
+    it("Should reject fee-on-transfer tokens", async function () {
+      const FeeToken = await ethers.getContractFactory("FeeOnTransferToken");
+      const feeToken = await FeeToken.deploy();
+      await feeToken.waitForDeployment();
+      await feeToken.mint(alice.address, amount);
+      await feeToken.connect(alice).approve(htlcAddress, amount);
+
+      await expect(
+        htlc.connect(alice).initiateTokenSwap(await feeToken.getAddress(), amount, bob.address, hashLock, expiration, SHA256, NO_COUNTERPART)
+      ).to.be.revertedWithCustomError(htlc, "TokenAmountMismatch");
+    });
+
+    it("Should reject the zero address and non-contract tokens", async function () {
+      for (const tokenAddress of [ethers.ZeroAddress, bob.address]) {
+        await expect(
+          htlc.connect(alice).initiateTokenSwap(tokenAddress, amount, bob.address, hashLock, expiration, SHA256, NO_COUNTERPART)
+        ).to.be.revertedWithCustomError(htlc, "InvalidToken");
+      }
+    });
+
+    it("Should fail if amount is 0", async function () {
+      await expect(
+        htlc.connect(alice).initiateTokenSwap(await token.getAddress(), 0, bob.address, hashLock, expiration, SHA256, NO_COUNTERPART)
+      ).to.be.revertedWithCustomError(htlc, "AmountMustBeGreaterThanZero");
+    });
+  });
+
+  describe("Gasless Claims (EIP-712)", function () {
+    const amount = ethers.parseEther("1.0");
+    const fee = ethers.parseEther("0.01");
+    let relayer;
+    let expiration;
+    let deadline;
+
+    // Recipient signs Claim(swapId, relayer, fee, deadline) for the given relayer
+    async function signClaim(signer, swapId, relayerAddress, claimFee, claimDeadline) {
+      const domain = {
+        name: "HTLC",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await htlc.getAddress()
+      };
+      const types = {
+        Claim: [
+          { name: "swapId", type: "bytes32" },
+          { name: "relayer", type: "address" },
+          { name: "fee", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      return signer.signTypedData(domain, types, {
+        swapId, relayer: relayerAddress, fee: claimFee, deadline: claimDeadline
+      });
+    }
+
+    beforeEach(async function () {
+      [, , , relayer] = await ethers.getSigners();
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+      deadline = currentBlock.timestamp + 600;
+    });
+
+    it("Should let the authorized relayer claim for the recipient", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signClaim(bob, swapId, relayer.address, fee, deadline);
+
+      const tx = htlc.connect(relayer).claimWithSignature(swapId, secret, fee, deadline, signature);
+      await expect(tx).to.changeEtherBalances([bob, relayer, htlc], [amount - fee, fee, -amount]);
+      await expect(tx)
+        .to.emit(htlc, "ClaimRelayed").withArgs(swapId, relayer.address, fee)
+        .and.to.emit(htlc, "SwapClaimed").withArgs(swapId, relayer.address, bob.address, hashLock, ethers.hexlify(secret));
+    });
+
+    it("Should reject the signature when submitted by another relayer", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signClaim(bob, swapId, relayer.address, fee, deadline);
+
+      await expect(
+        htlc.connect(owner).claimWithSignature(swapId, secret, fee, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "InvalidSignature");
+    });
+
+    it("Should reject a fee other than the signed one", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signClaim(bob, swapId, relayer.address, fee, deadline);
+
+      await expect(
+        htlc.connect(relayer).claimWithSignature(swapId, secret, fee * 2n, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "InvalidSignature");
+    });
+
+    it("Should reject a signature not made by the recipient", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signClaim(alice, swapId, relayer.address, fee, deadline);
+
+      await expect(
+        htlc.connect(relayer).claimWithSignature(swapId, secret, fee, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "InvalidSignature");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signClaim(bob, swapId, relayer.address, fee, deadline);
+
+      await ethers.provider.send("evm_increaseTime", [700]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        htlc.connect(relayer).claimWithSignature(swapId, secret, fee, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "SignatureExpired");
+    });
+
+    it("Should reject a fee above the locked amount", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signClaim(bob, swapId, relayer.address, amount + 1n, deadline);
+
+      await expect(
+        htlc.connect(relayer).claimWithSignature(swapId, secret, amount + 1n, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "FeeExceedsAmount");
+    });
+
+    it("Should not relay claims of open swaps", async function () {
+      const swapId = await initiate(htlc, alice, ethers.ZeroAddress, hashLock, expiration, amount);
+      const signature = await signClaim(bob, swapId, relayer.address, fee, deadline);
+
+      await expect(
+        htlc.connect(relayer).claimWithSignature(swapId, secret, fee, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "UnauthorizedClaimer");
+    });
+
+    it("Should not replay a signature once the swap is claimed", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signClaim(bob, swapId, relayer.address, fee, deadline);
+      await htlc.connect(relayer).claimWithSignature(swapId, secret, fee, deadline, signature);
+
+      await expect(
+        htlc.connect(relayer).claimWithSignature(swapId, secret, fee, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "SwapNotOpen");
+    });
+
+    it("Should pay the fee in the swap's token", async function () {
+      const TestToken = await ethers.getContractFactory("TestToken");
+      const token = await TestToken.deploy("Test USD", "tUSD");
+      await token.mint(alice.address, amount);
+      await token.connect(alice).approve(await htlc.getAddress(), amount);
+      const tx = await htlc.connect(alice).initiateTokenSwap(
+        await token.getAddress(), amount, bob.address, hashLock, expiration, SHA256, NO_COUNTERPART
+      );
+      const swapId = (await tx.wait()).logs
+        .map((log) => htlc.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "SwapInitiated").args.swapId;
+      const signature = await signClaim(bob, swapId, relayer.address, fee, deadline);
+
+      await expect(htlc.connect(relayer).claimWithSignature(swapId, secret, fee, deadline, signature))
+        .to.changeTokenBalances(token, [bob, relayer, htlc], [amount - fee, fee, -amount]);
+    });
+  });
+
+  describe("Expiration Extension", function () {
+    const amount = ethers.parseEther("1.0");
+    let expiration;
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+    });
+
+    it("Should let the sender push back the expiration", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
+      await expect(htlc.connect(alice).extendExpiration(swapId, expiration + 3600))
+        .to.emit(htlc, "SwapExtended").withArgs(swapId, alice.address, expiration, expiration + 3600);
+      expect((await htlc.getSwap(swapId)).expiration).to.equal(expiration + 3600);
+    });
+
+    it("Should let the recipient claim within the extended window", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      await htlc.connect(alice).extendExpiration(swapId, expiration + 3600);
+
+      await ethers.provider.send("evm_increaseTime", [3700]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(htlc.connect(alice).refundSwap(swapId))
+        .to.be.revertedWithCustomError(htlc, "SwapNotExpiredYet");
+      await expect(htlc.connect(bob).claimSwap(swapId, secret))
+        .to.changeEtherBalances([bob, htlc], [amount, -amount]);
+    });
+
+    it("Should only let the sender extend", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
+      await expect(
+        htlc.connect(bob).extendExpiration(swapId, expiration + 3600)
+      ).to.be.revertedWithCustomError(htlc, "UnauthorizedSender");
+    });
+
+    it("Should not shorten or keep the expiration", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
+      await expect(
+        htlc.connect(alice).extendExpiration(swapId, expiration)
+      ).to.be.revertedWithCustomError(htlc, "ExpirationNotIncreased");
+      await expect(
+        htlc.connect(alice).extendExpiration(swapId, expiration - 60)
+      ).to.be.revertedWithCustomError(htlc, "ExpirationNotIncreased");
+    });
+
+    it("Should not extend to a time in the past", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
+      await ethers.provider.send("evm_increaseTime", [7200]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        htlc.connect(alice).extendExpiration(swapId, expiration + 60)
+      ).to.be.revertedWithCustomError(htlc, "ExpirationMustBeInFuture");
+    });
+
+    it("Should not extend an expired swap", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [expiration]);
+      await expect(
+        htlc.connect(alice).extendExpiration(swapId, expiration + 3600)
+      ).to.be.revertedWithCustomError(htlc, "SwapExpired");
+
+      await expect(htlc.connect(alice).refundSwap(swapId))
+        .to.changeEtherBalances([alice, htlc], [amount, -amount]);
+    });
+
+    it("Should not extend a settled swap", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      await htlc.connect(bob).claimSwap(swapId, secret);
+
+      await expect(
+        htlc.connect(alice).extendExpiration(swapId, expiration + 3600)
+      ).to.be.revertedWithCustomError(htlc, "SwapNotOpen");
+    });
+  });
+
+  describe("Mutual Cancellation (EIP-712)", function () {
+    const amount = ethers.parseEther("1.0");
+    let expiration;
+    let deadline;
+
+    // Recipient signs Cancel(swapId, deadline)
+    async function signCancel(signer, swapId, cancelDeadline) {
+      const domain = {
+        name: "HTLC",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await htlc.getAddress()
+      };
+      const types = {
+        Cancel: [
+          { name: "swapId", type: "bytes32" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      return signer.signTypedData(domain, types, { swapId, deadline: cancelDeadline });
+    }
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+      deadline = currentBlock.timestamp + 600;
+    });
+
+    it("Should refund the sender before expiration with the recipient's signature", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signCancel(bob, swapId, deadline);
+
+      const tx = htlc.connect(alice).cancelSwap(swapId, deadline, signature);
+      await expect(tx).to.changeEtherBalances([alice, htlc], [amount, -amount]);
+      await expect(tx)
+        .to.emit(htlc, "SwapRefunded").withArgs(swapId, alice.address, amount, alice.address)
+        .and.to.emit(htlc, "SwapCancelled").withArgs(swapId, alice.address, bob.address);
+      expect((await htlc.getSwap(swapId)).status).to.equal(2); // REFUNDED
+    });
+
+    it("Should pay the sender when someone else submits the cancellation", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signCancel(bob, swapId, deadline);
+
+      await expect(htlc.connect(bob).cancelSwap(swapId, deadline, signature))
+        .to.changeEtherBalances([alice, bob, htlc], [amount, 0, -amount]);
+    });
+
+    it("Should reject a signature not made by the recipient", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signCancel(alice, swapId, deadline);
+
+      await expect(
+        htlc.connect(alice).cancelSwap(swapId, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "InvalidSignature");
+    });
+
+    it("Should reject a deadline other than the signed one", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signCancel(bob, swapId, deadline);
+
+      await expect(
+        htlc.connect(alice).cancelSwap(swapId, deadline + 1, signature)
+      ).to.be.revertedWithCustomError(htlc, "InvalidSignature");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signCancel(bob, swapId, deadline);
+
+      await ethers.provider.send("evm_increaseTime", [700]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        htlc.connect(alice).cancelSwap(swapId, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "SignatureExpired");
+    });
+
+    it("Should not cancel open swaps", async function () {
+      const swapId = await initiate(htlc, alice, ethers.ZeroAddress, hashLock, expiration, amount);
+      const signature = await signCancel(bob, swapId, deadline);
+
+      await expect(
+        htlc.connect(alice).cancelSwap(swapId, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "CannotCancelOpenSwap");
+    });
+
+    it("Should not cancel a claimed swap", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const signature = await signCancel(bob, swapId, deadline);
+      await htlc.connect(bob).claimSwap(swapId, secret);
+
+      await expect(
+        htlc.connect(alice).cancelSwap(swapId, deadline, signature)
+      ).to.be.revertedWithCustomError(htlc, "SwapNotOpen");
+    });
+
+    it("Should not accept a signature made for another swap", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+      const cancelSignature = await signCancel(bob, swapId, deadline);
+      const otherSwapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
+      await expect(
+        htlc.connect(alice).cancelSwap(otherSwapId, deadline, cancelSignature)
+      ).to.be.revertedWithCustomError(htlc, "InvalidSignature");
+    });
+  });
+
   describe("Security - No Emergency Withdraw", function () {
     it("Should NOT have emergencyWithdraw function (trustless)", async function () {
       // Verify the contract doesn't have an emergencyWithdraw function
@@ -336,6 +946,217 @@ describe("HTLC Contract (Hardened v2.0)", function () {
     });
   });
 
+  describe("Counterpart Leg", function () {
+    const amount = ethers.parseEther("1.0");
+    const leg = {
+      chain: "jstz",
+      account: "tz1KqTpEZ7Yob7QbPE4Hy4Wo8fHG8LhKxZSx",
+      amount: 2500000n, // mutez
+      ref: "order-42"
+    };
+    let expiration;
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+    });
+
+    it("Should return the counterpart leg recorded at initiation", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount, SHA256, leg);
+
+      const { counterpart } = await htlc.getSwap(swapId);
+      expect(counterpart.chain).to.equal(leg.chain);
+      expect(counterpart.account).to.equal(leg.account);
+      expect(counterpart.amount).to.equal(leg.amount);
+      expect(counterpart.ref).to.equal(leg.ref);
+    });
+
+    it("Should return empty fields when no counterpart was given", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, hashLock, expiration, amount);
+
+      const { counterpart } = await htlc.getSwap(swapId);
+      expect(counterpart.chain).to.equal("");
+      expect(counterpart.account).to.equal("");
+      expect(counterpart.amount).to.equal(0);
+      expect(counterpart.ref).to.equal("");
+    });
+
+    it("Should record the counterpart of token swaps", async function () {
+      const TestToken = await ethers.getContractFactory("TestToken");
+      const token = await TestToken.deploy("Test USD", "tUSD");
+      await token.mint(alice.address, amount);
+      await token.connect(alice).approve(await htlc.getAddress(), amount);
+      const tx = await htlc.connect(alice).initiateTokenSwap(
+        await token.getAddress(), amount, bob.address, hashLock, expiration, SHA256, leg
+      );
+      const swapId = (await tx.wait()).logs
+        .map((log) => htlc.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "SwapInitiated").args.swapId;
+
+      expect((await htlc.getSwap(swapId)).counterpart.ref).to.equal(leg.ref);
+    });
+
+    it("Should reject overlong counterpart fields", async function () {
+      const tooLong = { ...leg, ref: "x".repeat(129) };
+
+      await expect(
+        htlc.connect(alice).initiateSwap(bob.address, hashLock, expiration, SHA256, tooLong, { value: amount })
+      ).to.be.revertedWithCustomError(htlc, "CounterpartFieldTooLong");
+    });
+  });
+
+  describe("Receiver Hook", function () {
+    const amount = ethers.parseEther("1.0");
+    let expiration;
+
+    // Deploy a mock receiver and opt it in to the hook
+    async function deployReceiver(name, optIn = true) {
+      const Receiver = await ethers.getContractFactory(name);
+      const receiver = await Receiver.deploy();
+      if (optIn) await receiver.optIn(await htlc.getAddress(), true);
+      return receiver;
+    }
+
+    // Open swap (no designated recipient) the receiver contract claims itself
+    async function openSwap() {
+      return initiate(htlc, alice, ethers.ZeroAddress, hashLock, expiration, amount);
+    }
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+    });
+
+    it("Should call an opted-in receiver with the swap, amount and secret", async function () {
+      const receiver = await deployReceiver("GoodReceiver");
+      const swapId = await openSwap();
+
+      const tx = receiver.claim(await htlc.getAddress(), swapId, secret);
+      await expect(tx).to.changeEtherBalances([receiver, htlc], [amount, -amount]);
+      await expect(tx).to.emit(htlc, "ReceiverHookCalled").withArgs(swapId, await receiver.getAddress(), true);
+
+      expect(await receiver.calls()).to.equal(1);
+      expect(await receiver.lastSwapId()).to.equal(swapId);
+      expect(await receiver.lastToken()).to.equal(ethers.ZeroAddress);
+      expect(await receiver.lastAmount()).to.equal(amount);
+      expect(await receiver.lastSecret()).to.equal(ethers.hexlify(secret));
+    });
+
+    it("Should not call receivers that did not opt in, or opted out", async function () {
+      const receiver = await deployReceiver("GoodReceiver", false);
+      const swapId = await openSwap();
+
+      await expect(receiver.claim(await htlc.getAddress(), swapId, secret))
+        .to.not.emit(htlc, "ReceiverHookCalled");
+      expect(await receiver.calls()).to.equal(0);
+
+      await expect(receiver.optIn(await htlc.getAddress(), true))
+        .to.emit(htlc, "ReceiverHookSet").withArgs(await receiver.getAddress(), true);
+      await receiver.optIn(await htlc.getAddress(), false);
+      const secondSecret = ethers.randomBytes(32);
+      const secondId = await initiate(htlc, alice, ethers.ZeroAddress, ethers.sha256(secondSecret), expiration, amount);
+      await receiver.claim(await htlc.getAddress(), secondId, secondSecret);
+      expect(await receiver.calls()).to.equal(0);
+    });
+
+    for (const name of ["RevertingReceiver", "GasBurningReceiver", "WrongAnswerReceiver", "ShortAnswerReceiver", "DirtyAnswerReceiver", "ReturnBombReceiver"]) {
+      it(`Should complete the claim when the hook misbehaves (${name})`, async function () {
+        const receiver = await deployReceiver(name);
+        const swapId = await openSwap();
+
+        const tx = receiver.claim(await htlc.getAddress(), swapId, secret);
+        await expect(tx).to.changeEtherBalances([receiver, htlc], [amount, -amount]);
+        await expect(tx).to.emit(htlc, "ReceiverHookCalled").withArgs(swapId, await receiver.getAddress(), false);
+        expect((await htlc.getSwap(swapId)).status).to.equal(1); // CLAIMED
+      });
+    }
+
+    it("Should revert a claim sent with too little gas for the hook", async function () {
+      const receiver = await deployReceiver("GasBurningReceiver");
+      const swapId = await openSwap();
+      const htlcAddress = await htlc.getAddress();
+
+      // Lowest gas limit with which the hook still gets its full allowance
+      const needed = await receiver.claim.estimateGas(htlcAddress, swapId, secret);
+      await expect(receiver.claim(htlcAddress, swapId, secret, { gasLimit: needed - 30000n }))
+        .to.be.revertedWithCustomError(htlc, "InsufficientHookGas");
+      expect((await htlc.getSwap(swapId)).status).to.equal(0); // still OPEN
+    });
+
+    it("Should not let the hook claim the same swap twice", async function () {
+      const receiver = await deployReceiver("ReentrantReceiver");
+      const swapId = await openSwap();
+
+      const tx = receiver.claim(await htlc.getAddress(), swapId, secret);
+      await expect(tx).to.changeEtherBalances([receiver, htlc], [amount, -amount]);
+      await expect(tx).to.emit(htlc, "ReceiverHookCalled").withArgs(swapId, await receiver.getAddress(), true);
+      expect(await receiver.reentered()).to.equal(false);
+    });
+
+    it("Should pass the token to receivers of token swaps", async function () {
+      const TestToken = await ethers.getContractFactory("TestToken");
+      const token = await TestToken.deploy("Test USD", "tUSD");
+      await token.mint(alice.address, amount);
+      await token.connect(alice).approve(await htlc.getAddress(), amount);
+      const receiver = await deployReceiver("GoodReceiver");
+      const tx = await htlc.connect(alice).initiateTokenSwap(
+        await token.getAddress(), amount, ethers.ZeroAddress, hashLock, expiration, SHA256, NO_COUNTERPART
+      );
+      const swapId = (await tx.wait()).logs
+        .map((log) => htlc.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "SwapInitiated").args.swapId;
+
+      await receiver.claim(await htlc.getAddress(), swapId, secret);
+      expect(await token.balanceOf(await receiver.getAddress())).to.equal(amount);
+      expect(await receiver.lastToken()).to.equal(await token.getAddress());
+      expect(await receiver.lastAmount()).to.equal(amount);
+    });
+  });
+
+  describe("Keccak-256 Hashlocks", function () {
+    const amount = ethers.parseEther("0.5");
+    let expiration;
+    let keccakLock;
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock('latest');
+      expiration = currentBlock.timestamp + 3600;
+      keccakLock = ethers.keccak256(secret);
+    });
+
+    it("Should record the hash algorithm of the swap", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, keccakLock, expiration, amount, KECCAK256);
+
+      expect((await htlc.getSwap(swapId)).hashAlgorithm).to.equal(KECCAK256);
+      expect((await htlc.getSwap(await initiate(htlc, alice, bob.address, hashLock, expiration, amount))).hashAlgorithm)
+        .to.equal(SHA256);
+    });
+
+    it("Should claim a Keccak-256 swap with its secret", async function () {
+      const swapId = await initiate(htlc, alice, bob.address, keccakLock, expiration, amount, KECCAK256);
+
+      await expect(htlc.connect(bob).claimSwap(swapId, secret))
+        .to.changeEtherBalances([bob, htlc], [amount, -amount]);
+    });
+
+    it("Should not verify a secret with the other algorithm", async function () {
+      // SHA-256 hashlock declared as Keccak-256, and the other way around
+      const wrongKeccak = await initiate(htlc, alice, bob.address, hashLock, expiration, amount, KECCAK256);
+      const wrongSha = await initiate(htlc, alice, bob.address, keccakLock, expiration, amount, SHA256);
+
+      await expect(htlc.connect(bob).claimSwap(wrongKeccak, secret))
+        .to.be.revertedWithCustomError(htlc, "IncorrectHashLock");
+      await expect(htlc.connect(bob).claimSwap(wrongSha, secret))
+        .to.be.revertedWithCustomError(htlc, "IncorrectHashLock");
+    });
+
+    it("Should reject an unknown hash algorithm", async function () {
+      await expect(
+        htlc.connect(alice).initiateSwap(bob.address, keccakLock, expiration, 2, NO_COUNTERPART, { value: amount })
+      ).to.be.reverted;
+    });
+  });
+
   describe("Cross-Chain SHA-256 Compatibility", function () {
     it("Should produce consistent SHA-256 hash for 32-byte secret", async function () {
       // This test verifies the hash is deterministic
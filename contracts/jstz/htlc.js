@@ -20,12 +20,69 @@
  *    - X-JSTZ-TRANSFER header in RESPONSE tells runtime to send tez
  *    - Runtime executes the transfer from smart function's balance
  *    - Amount is verified against available balance by runtime
+ *    - Payouts to someone other than the caller (relayed claims, refunds
+ *      triggered by a third party) are sent with
+ *      X-JSTZ-TRANSFER on a request to jstz://<address>/ after the swap is updated;
+ *      a refused transfer fails the call and the runtime reverts it
  * 
  * 4. ATOMICITY:
  *    - Jstz executes smart function calls sequentially per contract
  *    - No race condition between claim and refund for same swap
  *    - KV operations within a single call are atomic
  * 
+ * 5. SWAP IDS:
+ *    - A swap is addressed by its swapId, not by its hashlock
+ *    - swapId = SHA-256(sender, recipient, hashlock, sender nonce)
+ *    - Anyone may lock funds under a hashlock they have seen; that creates
+ *      another swap and never blocks the counterparty's own swap
+ *    - Counterparties find swaps via /swaps/by-hashlock and check sender/recipient
+ * 
+ * 6. RELAYED CLAIMS:
+ *    - Anyone holding the secret may claim a swap with a designated recipient
+ *    - The funds always go to the recipient; the caller only receives the
+ *      relayer fee the sender set at initiate (0 by default)
+ *    - Lets watchtowers finish swaps for recipients who went offline or have no tez
+ * 
+ * 7. PERMISSIONLESS REFUNDS:
+ *    - Anyone may trigger the refund of an expired swap
+ *    - The funds only ever go back to swap.sender; the caller is recorded as refundedBy
+ * 
+ * 8. EXPIRATION EXTENSION:
+ *    - The sender may push back the expiration of an OPEN swap via /extend,
+ *      until it expires (an expired swap is refund-only)
+ *    - Expirations only ever increase, so the recipient's claim window never shrinks
+ * 
+ * 9. MUTUAL CANCELLATION:
+ *    - The designated recipient may release an OPEN swap before expiration by
+ *      calling /cancel; the funds go back to swap.sender right away
+ *    - Only the recipient gives up something, so only the recipient may call it;
+ *      swaps without a designated recipient cannot be cancelled early
+ * 
+ * 10. HASH ALGORITHMS:
+ *    - Each swap records how its hashlock was built: 'sha256' (default) or 'keccak256'
+ *    - Keccak-256 lets a swap pair with EVM HTLCs that only support it; both legs
+ *      must use the same algorithm for one secret to unlock them
+ * 
+ * 11. LEG LINKAGE:
+ *    - A swap may record the other leg it pays for (`counterpart`): chain, the
+ *      sender's receiving address there, expected amount and a free-form reference
+ *    - Informational only, never enforced; it lets the counterparty check the lock
+ *      against the terms they agreed to
+ * 
+ * 12. NOTIFICATIONS:
+ *    - A swap may name a smart function (`notify`, KT1 address) to call when it is
+ *      claimed, refunded or cancelled; claims carry the revealed secret
+ *    - The call is authenticated by the runtime: the receiver sees this smart
+ *      function's address in Referer and must check it before trusting the payload.
+ *      Referer is the only authentication; the payload is not signed
+ *    - The body is the journal entry (it names this HTLC in `contract`) and
+ *      X-HTLC-Digest is its plain sha256, a checksum anyone can recompute
+ *    - Best effort: sent after the swap and its payouts are settled, and a failed
+ *      delivery is recorded on the swap (`notifyDelivery`) instead of reverting
+ *    - A receiver that burns the whole operation's gas would still fail the call, so
+ *      the swap's sender or payee may pass `skipNotify: true` to leave it out;
+ *      anyone else settling the swap cannot
+ * 
  * REAL TRANSFERS:
  * - Uses X-JSTZ-AMOUNT to receive tez at initiation (set by runtime)
  * - Uses X-JSTZ-TRANSFER to send tez at claim/refund (read by runtime)
@@ -37,8 +94,13 @@
 // ============================================
 
 const ONE_TEZ = 1000000; // 1 XTZ in mutez
-const MAX_SWAPS_LIST = 100; // Pagination limit for /swaps endpoint
+const MAX_SWAPS_LIST = 100; // Page size limit for /swaps endpoints
 const MIN_AMOUNT_MUTEZ = 1000; // Minimum 0.001 XTZ to prevent dust attacks
+const MAX_BATCH_ACTIONS = 50; // Max items per /batch call
+const LEGACY_MIGRATION_BATCH = 100; // Legacy swaps moved to the paged layout per call
+const MUTATING_ROUTES = ['/initiate', '/claim', '/refund', '/extend', '/cancel', '/batch']; // POST routes that write Kv
+const MAX_COUNTERPART_FIELD_LENGTH = 128; // Longest counterpart string field (aligned with HTLC.sol)
+const NOTIFY_PATH = '/swap-event'; // Path called on a swap's notify smart function
 
 // Strict hashlock validation regex
 const HASHLOCK_REGEX = /^0x[0-9a-fA-F]{64}$/;
@@ -50,6 +112,24 @@ const SwapStatus = {
   REFUNDED: 'REFUNDED'
 };
 
+// /batch application modes
+const BatchMode = {
+  PER_ITEM: 'per-item',
+  ALL_OR_NOTHING: 'all-or-nothing'
+};
+
+// Hash algorithms a hashlock may be built with (aligned with HTLC.sol HashAlgorithm)
+const HashAlgorithm = {
+  SHA256: 'sha256',
+  KECCAK256: 'keccak256'
+};
+
+// Roles a swap is indexed under for per-address lookups
+const IndexRole = {
+  SENDER: 'sender',
+  RECIPIENT: 'recipient'
+};
+
 // ============================================
 // VALIDATION HELPERS
 // ============================================
@@ -63,6 +143,15 @@ function isValidHashlock(hashlock) {
   return typeof hashlock === 'string' && HASHLOCK_REGEX.test(hashlock);
 }
 
+/**
+ * Validate swap id format (same shape as a hashlock: 0x + 64 hex chars)
+ * @param {string} swapId
+ * @returns {boolean}
+ */
+function isValidSwapId(swapId) {
+  return isValidHashlock(swapId);
+}
+
 /**
  * Validate and parse amount (safe integer handling)
  * @param {any} value - Amount to parse
@@ -81,6 +170,28 @@ function parseAmountMutez(value) {
   return 0;
 }
 
+/**
+ * Validate the relayer fee set at initiate
+ * @param {any} value - Fee in mutez (optional)
+ * @param {number} amount - Amount locked in mutez
+ * @param {string|null} recipient - Designated recipient
+ * @returns {number} - Fee in mutez (0 if not provided)
+ */
+function parseRelayerFee(value, amount, recipient) {
+  if (value === undefined || value === null || value === '' || value === 0 || value === '0') return 0;
+  const fee = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isSafeInteger(fee) || fee < 0) {
+    throw new Error('Invalid relayer fee: must be a non-negative integer in mutez');
+  }
+  if (!recipient) {
+    throw new Error('Relayer fee requires a designated recipient');
+  }
+  if (fee >= amount) {
+    throw new Error(`Relayer fee must be lower than the locked amount (${amount} mutez)`);
+  }
+  return fee;
+}
+
 /**
  * Validate expiration timestamp
  * @param {any} exp - Expiration to validate
@@ -94,6 +205,75 @@ function parseExpiration(exp) {
   return null;
 }
 
+/**
+ * Parse the hash algorithm of a new swap
+ * @param {string|undefined} value - 'sha256' | 'keccak256' (case-insensitive)
+ * @returns {string} - A HashAlgorithm value, SHA-256 when omitted
+ */
+function parseHashAlgorithm(value) {
+  if (value === undefined || value === null || value === '') {
+    return HashAlgorithm.SHA256;
+  }
+  const algorithm = String(value).toLowerCase();
+  if (!Object.values(HashAlgorithm).includes(algorithm)) {
+    throw new Error(`Invalid hashAlgorithm: ${value} (expected sha256 or keccak256)`);
+  }
+  return algorithm;
+}
+
+/**
+ * Parse the optional counterpart leg of a new swap
+ * @param {any} value - { chain, account, amount, reference } (every field optional)
+ * @returns {object|null} - Normalized counterpart, or null when nothing is set
+ */
+function parseCounterpart(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Invalid counterpart: expected an object { chain, account, amount, reference }');
+  }
+  
+  const { chain = '', account = '', amount = '0', reference = '' } = value;
+  for (const [name, field] of Object.entries({ chain, account, reference })) {
+    if (typeof field !== 'string') {
+      throw new Error(`Invalid counterpart ${name}: expected a string`);
+    }
+    if (field.length > MAX_COUNTERPART_FIELD_LENGTH) {
+      throw new Error(`Invalid counterpart ${name}: at most ${MAX_COUNTERPART_FIELD_LENGTH} characters`);
+    }
+  }
+  if (account && !isValidAddress(account) && !/^0x[0-9a-fA-F]{40}$/.test(account)) {
+    throw new Error('Invalid counterpart account: expected a Tezos (tz1/tz2/tz3/KT1) or EVM (0x) address');
+  }
+  // Smallest unit of the other chain (wei can exceed Number.MAX_SAFE_INTEGER): kept as a decimal string
+  const amountText = String(amount);
+  if (!/^\d+$/.test(amountText) || amountText.length > 78) {
+    throw new Error('Invalid counterpart amount: expected a non-negative integer in the smallest unit');
+  }
+  const normalizedAmount = amountText.replace(/^0+(?=\d)/, '');
+  
+  if (!chain && !account && normalizedAmount === '0' && !reference) {
+    return null;
+  }
+  return { chain, account, amount: normalizedAmount, reference };
+}
+
+/**
+ * Parse the optional smart function notified when a new swap settles
+ * @param {any} value - KT1 address, or empty for none
+ * @returns {string|null}
+ */
+function parseNotify(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || !/^KT1[a-zA-Z0-9]{33}$/.test(value)) {
+    throw new Error('Invalid notify: expected a smart function address (KT1...)');
+  }
+  return value;
+}
+
 /**
  * Validate Tezos address format (tz1, tz2, tz3, KT1)
  * @param {string} address 
@@ -104,6 +284,23 @@ function isValidAddress(address) {
   return /^(tz[1-3]|KT1)[a-zA-Z0-9]{33}$/.test(address);
 }
 
+/**
+ * Parse a status filter ("OPEN" or "OPEN,CLAIMED" or ['OPEN', 'CLAIMED'])
+ * @param {any} value - Filter from query string or body
+ * @returns {string[]|null} - Statuses to include, or null for all
+ */
+function parseStatusFilter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const statuses = list.map(s => String(s).trim().toUpperCase()).filter(Boolean);
+  for (const status of statuses) {
+    if (!SwapStatus[status]) {
+      throw new Error(`Invalid status filter: ${status} (expected OPEN, CLAIMED or REFUNDED)`);
+    }
+  }
+  return statuses.length > 0 ? statuses : null;
+}
+
 // ============================================
 // TIME & STORAGE HELPERS
 // ============================================
@@ -115,44 +312,325 @@ function now() {
   return Math.floor(Date.now() / 1000);
 }
 
+/*
+ * KV LAYOUT
+ * ---------
+ * swap/<swapId hex>        - Swap record (JSON, includes its `swapId`, `hashlock` and `seq`)
+ * nonces/<sender>          - Next nonce used to derive the sender's swap ids
+ * swaps/count              - Number of swaps ever created (next sequence number)
+ * swaps/seq/<n>            - SwapId of the n-th swap (0-based, never pruned)
+ * index/<role>/<addr>/count - Number of swaps indexed for an address in a role
+ * index/<role>/<addr>/seq/<n> - SwapId of the n-th swap of that address (append-only)
+ * index/hashlock/<hex>/count - Number of swaps locked under a hashlock
+ * index/hashlock/<hex>/seq/<n> - SwapId of the n-th swap under that hashlock
+ * events/count             - Number of journal entries (next event sequence number)
+ * events/seq/<n>           - n-th state transition (append-only journal)
+ * 
+ * Legacy layout (before swap ids and the sequence log), migrated by migrateLegacySwaps():
+ * <hashlock hex>           - Swap record; its swapId is its hashlock
+ * swap_keys                - Hashlocks of the last 1000 swaps
+ * legacy/migrated          - Number of swap_keys entries already moved to the paged layout
+ * legacy/done              - Set (to the number of swap_keys entries) once all are moved
+ */
+
+// Pending writes of the enclosing withKvTransaction() calls (innermost first)
+let kvTransaction = null;
+
+/**
+ * Read a Kv key, seeing writes not yet committed by an enclosing transaction
+ */
+function kvGet(key) {
+  for (let tx = kvTransaction; tx; tx = tx.parent) {
+    if (tx.writes.has(key)) return tx.writes.get(key);
+  }
+  return Kv.get(key);
+}
+
+/**
+ * Write a Kv key (buffered while a transaction is open)
+ */
+function kvSet(key, value) {
+  if (kvTransaction) {
+    kvTransaction.writes.set(key, value);
+  } else {
+    Kv.set(key, value);
+  }
+}
+
+/**
+ * Run fn so that its Kv writes are all kept if it returns, or all dropped if it throws.
+ * Used by /batch, where a failed item must not leave half-applied state behind.
+ */
+function withKvTransaction(fn) {
+  const tx = { writes: new Map(), parent: kvTransaction };
+  kvTransaction = tx;
+  let result;
+  try {
+    result = fn();
+  } finally {
+    kvTransaction = tx.parent;
+  }
+  for (const [key, value] of tx.writes) {
+    kvSet(key, value);
+  }
+  return result;
+}
+
+/**
+ * Kv key of a swap record
+ */
+function swapKey(swapId) {
+  return `swap/${swapId.slice(2).toLowerCase()}`; // Remove 0x prefix
+}
+
 /**
  * Get swap from Kv storage
+ * Falls back to the legacy layout, where a swap was stored under its bare hashlock
+ * and addressed by it: such a swap gets its hashlock as swapId and is written to
+ * swap/<hex> on its next save.
  */
-function getSwapFromKv(hashlock) {
-  if (!isValidHashlock(hashlock)) return null;
-  const key = hashlock.slice(2); // Remove 0x prefix
-  const data = Kv.get(key);
-  return data ? JSON.parse(data) : null;
+function getSwapFromKv(swapId) {
+  if (!isValidSwapId(swapId)) return null;
+  const data = kvGet(swapKey(swapId));
+  if (data) return JSON.parse(data);
+  
+  const hex = swapId.slice(2);
+  const legacy = kvGet(hex) || kvGet(hex.toLowerCase());
+  return legacy ? { ...JSON.parse(legacy), swapId: `0x${hex.toLowerCase()}` } : null;
 }
 
 /**
  * Save swap to Kv storage
  */
-function saveSwapToKv(hashlock, swap) {
-  const key = hashlock.slice(2);
-  Kv.set(key, JSON.stringify(swap));
+function saveSwapToKv(swap) {
+  kvSet(swapKey(swap.swapId), JSON.stringify(swap));
+}
+
+/**
+ * Take the sender's next nonce (each call returns a new value)
+ */
+function takeNonce(sender) {
+  const nonce = parseInt(kvGet(`nonces/${sender}`) || '0', 10);
+  kvSet(`nonces/${sender}`, String(nonce + 1));
+  return nonce;
+}
+
+/**
+ * Derive a swap id from the parties, the hashlock and the sender's nonce
+ * @param {string} sender - Swap initiator
+ * @param {string|null} recipient - Designated recipient (null = anyone with secret)
+ * @param {string} hashlock - SHA-256 hash of the secret
+ * @param {number} nonce - Sender's nonce at initiation
+ * @returns {string} - 0x + 64 hex chars
+ */
+function computeSwapId(sender, recipient, hashlock, nonce) {
+  return sha256(`${sender}|${recipient || ''}|${hashlock.toLowerCase()}|${nonce}`);
+}
+
+/**
+ * Kv key prefix of the swapIds locked under a hashlock (append-only, in creation order)
+ */
+function hashlockIndexKey(hashlock) {
+  return `index/hashlock/${hashlock.slice(2).toLowerCase()}`;
+}
+
+/**
+ * Number of swaps locked under a hashlock
+ */
+function getHashlockIndexCount(hashlock) {
+  const count = kvGet(`${hashlockIndexKey(hashlock)}/count`);
+  return count ? parseInt(count, 10) : 0;
+}
+
+/**
+ * Record a new swap under its hashlock
+ */
+function addToHashlockIndex(hashlock, swapId) {
+  const seq = getHashlockIndexCount(hashlock);
+  kvSet(`${hashlockIndexKey(hashlock)}/seq/${seq}`, swapId);
+  kvSet(`${hashlockIndexKey(hashlock)}/count`, String(seq + 1));
+}
+
+/**
+ * Number of swaps ever created (also the next sequence number)
+ */
+function getSwapCount() {
+  const count = kvGet('swaps/count');
+  return count ? parseInt(count, 10) : 0;
+}
+
+/**
+ * Append a swap to the sequence log
+ * @returns {number} - Sequence number assigned to the swap
+ */
+function appendSwapSequence(swapId) {
+  const seq = getSwapCount();
+  kvSet(`swaps/seq/${seq}`, swapId);
+  kvSet('swaps/count', String(seq + 1));
+  return seq;
+}
+
+/**
+ * Get the swapId stored at a sequence number
+ */
+function getSwapKeyAt(seq) {
+  return kvGet(`swaps/seq/${seq}`) || null;
+}
+
+/**
+ * Move the swaps listed in the legacy `swap_keys` into the paged layout: sequence
+ * log, hashlock and address indexes. Runs before every state-changing call (and on
+ * POST /migrate) and moves at most LEGACY_MIGRATION_BATCH swaps, so a few calls
+ * after an upgrade every legacy swap is listed again. Once every entry is moved,
+ * `legacy/done` is set and later calls return after a single read. Reads never
+ * migrate; swaps not yet moved stay reachable by id through getSwapFromKv().
+ * @returns {{migrated: number, total: number, done: boolean}}
+ */
+function migrateLegacySwaps() {
+  const done = kvGet('legacy/done');
+  if (done) {
+    const total = parseInt(done, 10);
+    return { migrated: total, total, done: true };
+  }
+  const keys = kvGet('swap_keys');
+  const hashlocks = keys ? JSON.parse(keys) : [];
+  const migrated = parseInt(kvGet('legacy/migrated') || '0', 10);
+  
+  const batchEnd = Math.min(migrated + LEGACY_MIGRATION_BATCH, hashlocks.length);
+  for (const hashlock of hashlocks.slice(migrated, batchEnd)) {
+    const swap = isValidHashlock(hashlock) ? getSwapFromKv(hashlock) : null;
+    if (!swap || swap.seq !== undefined) continue;
+    swap.seq = appendSwapSequence(swap.swapId);
+    saveSwapToKv(swap);
+    addToHashlockIndex(swap.hashlock, swap.swapId);
+    indexSwapParties(swap);
+  }
+  if (batchEnd > migrated) {
+    kvSet('legacy/migrated', String(batchEnd));
+    console.log(`[HTLC] Migrated legacy swaps ${migrated}..${batchEnd - 1} of ${hashlocks.length}`);
+  }
+  if (batchEnd >= hashlocks.length) {
+    // swap_keys is never written again, so there is nothing left to move
+    kvSet('legacy/done', String(hashlocks.length));
+  }
+  return { migrated: batchEnd, total: hashlocks.length, done: batchEnd >= hashlocks.length };
+}
+
+/**
+ * Number of journal entries (also the next event sequence number)
+ */
+function getEventCount() {
+  const count = kvGet('events/count');
+  return count ? parseInt(count, 10) : 0;
+}
+
+/**
+ * Append a state transition to the event journal
+ * Entries are never rewritten, so indexers can tail them like EVM logs. Each one
+ * names this smart function (`contract`), so a copy relayed elsewhere still says
+ * which HTLC it comes from.
+ * @param {string} event - SwapInitiated | SwapClaimed | SwapRefunded | SwapCancelled | SwapExtended
+ * @param {object} swap - Swap the event belongs to
+ * @param {object} data - Same payload as the route's response `data`
+ * @returns {object} - The journal entry
+ */
+function appendEvent(event, swap, data) {
+  const seq = getEventCount();
+  const entry = { seq, event, swapId: swap.swapId, hashlock: swap.hashlock, contract: Ledger.selfAddress, timestamp: now(), data };
+  kvSet(`events/seq/${seq}`, JSON.stringify(entry));
+  kvSet('events/count', String(seq + 1));
+  return entry;
+}
+
+/**
+ * Digest of a serialized journal entry: sha256 of its JSON text (UTF-8)
+ * A checksum of the notify body, not a signature: anyone can recompute it.
+ * @param {string} body - JSON.stringify(entry)
+ * @returns {string} - 0x + 64 hex chars
+ */
+function eventDigest(body) {
+  return sha256(body);
+}
+
+/**
+ * Get the journal entry stored at a sequence number
+ */
+function getEventAt(seq) {
+  const data = kvGet(`events/seq/${seq}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Kv key prefix of a per-address index (one append-only log per role and address)
+ */
+function addressIndexKey(role, address) {
+  return `index/${role}/${address}`;
+}
+
+/**
+ * Number of swaps indexed for an address in a role
+ */
+function getAddressIndexCount(role, address) {
+  const count = kvGet(`${addressIndexKey(role, address)}/count`);
+  return count ? parseInt(count, 10) : 0;
 }
 
 /**
- * Get all swap keys (with limit for DoS protection)
+ * Append a swapId to an address's index. Entries are never rewritten: the status
+ * is read from the swap record when listing.
  */
-function getAllSwapKeys(limit = MAX_SWAPS_LIST) {
-  const keys = Kv.get('swap_keys');
-  const allKeys = keys ? JSON.parse(keys) : [];
-  return allKeys.slice(-limit); // Return most recent
+function addToAddressIndex(role, address, swapId) {
+  const seq = getAddressIndexCount(role, address);
+  kvSet(`${addressIndexKey(role, address)}/seq/${seq}`, swapId);
+  kvSet(`${addressIndexKey(role, address)}/count`, String(seq + 1));
 }
 
 /**
- * Add swap key to list
+ * Addresses a swap is indexed under, as [role, address] pairs.
+ * A swap without designated recipient is indexed under its claimer once claimed.
  */
-function addSwapKey(hashlock) {
-  const keys = getAllSwapKeys(10000); // Higher internal limit
-  if (!keys.includes(hashlock)) {
-    keys.push(hashlock);
-    // Prune old keys if list gets too large (keep last 1000)
-    const pruned = keys.slice(-1000);
-    Kv.set('swap_keys', JSON.stringify(pruned));
+function indexedParties(swap) {
+  const parties = [[IndexRole.SENDER, swap.sender]];
+  const recipient = swap.recipient || swap.claimedBy;
+  if (recipient) {
+    parties.push([IndexRole.RECIPIENT, recipient]);
   }
+  return parties;
+}
+
+/**
+ * Index a new swap under every address it involves
+ */
+function indexSwapParties(swap) {
+  for (const [role, address] of indexedParties(swap)) {
+    addToAddressIndex(role, address, swap.swapId);
+  }
+}
+
+/**
+ * Parse a page size, clamped to 1..MAX_SWAPS_LIST
+ * @param {any} value - Limit from query string or body
+ * @returns {number}
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return MAX_SWAPS_LIST;
+  return Math.min(limit, MAX_SWAPS_LIST);
+}
+
+/**
+ * Parse a sequence number parameter (/swaps cursor, /events since, by-hashlock offset)
+ * @param {any} value - Value from query string or body
+ * @param {string} name - Parameter name for the error message
+ * @returns {number|null} - Sequence number, or null if not provided
+ */
+function parseSequence(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const seq = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isInteger(seq) || seq < 0) {
+    throw new Error(`Invalid ${name}: must be a non-negative integer`);
+  }
+  return seq;
 }
 
 /**
@@ -172,43 +650,92 @@ function mutezToXtz(mutez) {
 }
 
 // ============================================
-// SHA-256 IMPLEMENTATION
+// HASH IMPLEMENTATIONS (SHA-256, KECCAK-256)
 // ============================================
 
 /**
- * Pure JavaScript SHA-256 implementation
+ * Convert hash input to a byte array
  * 
- * SECURITY NOTE: This implementation has been tested against ethers.js sha256
- * for cross-chain compatibility with Etherlink. The secret format is strictly
- * 0x + 64 hex chars, interpreted as raw bytes (not UTF-8 string).
+ * - '0x' strings are hex: they must have an even number of hex digits, anything
+ *   else throws instead of silently hashing NaN bytes
+ * - Other strings are UTF-8 encoded like TextEncoder (surrogate pairs become one
+ *   4-byte sequence, lone surrogates become U+FFFD)
+ * - Byte arrays are copied and must hold integers in 0..255
  * 
- * @param {string} message - Input (0x-prefixed hex or plain string)
- * @returns {string} - SHA-256 hash as 0x + 64 hex chars
+ * @param {string|ArrayLike<number>} message - 0x-prefixed hex, plain string, or bytes
+ * @returns {number[]}
  */
-function sha256(message) {
-  // Convert input to bytes
-  let bytes;
+function toBytes(message) {
   if (typeof message === 'string' && message.startsWith('0x')) {
     // Hex string - parse as bytes
     const hex = message.slice(2);
-    bytes = [];
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+      throw new Error('Invalid hex input: expected 0x followed by an even number of hex digits');
+    }
+    const bytes = [];
     for (let i = 0; i < hex.length; i += 2) {
-      bytes.push(parseInt(hex.substr(i, 2), 16));
+      bytes.push(parseInt(hex.slice(i, i + 2), 16));
     }
-  } else if (typeof message === 'string') {
+    return bytes;
+  }
+  
+  if (typeof message === 'string') {
     // Plain string - UTF-8 encode
-    bytes = [];
+    const bytes = [];
     for (let i = 0; i < message.length; i++) {
-      const code = message.charCodeAt(i);
-      if (code < 128) bytes.push(code);
-      else if (code < 2048) {
-        bytes.push(192 | (code >> 6));
-        bytes.push(128 | (code & 63));
+      let code = message.charCodeAt(i);
+      if (code >= 0xd800 && code <= 0xdfff) {
+        const next = message.charCodeAt(i + 1);
+        if (code <= 0xdbff && next >= 0xdc00 && next <= 0xdfff) {
+          // Surrogate pair - one code point above U+FFFF
+          code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+          i++;
+        } else {
+          code = 0xfffd; // Lone surrogate
+        }
+      }
+      if (code < 0x80) {
+        bytes.push(code);
+      } else if (code < 0x800) {
+        bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+      } else if (code < 0x10000) {
+        bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+      } else {
+        bytes.push(
+          0xf0 | (code >> 18),
+          0x80 | ((code >> 12) & 0x3f),
+          0x80 | ((code >> 6) & 0x3f),
+          0x80 | (code & 0x3f)
+        );
       }
     }
-  } else {
-    bytes = Array.from(message);
+    return bytes;
   }
+  
+  if (message === null || message === undefined || typeof message.length !== 'number') {
+    throw new Error('Invalid hash input: expected a string or a byte array');
+  }
+  const bytes = Array.from(message);
+  if (!bytes.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+    throw new Error('Invalid hash input: bytes must be integers in 0..255');
+  }
+  return bytes;
+}
+
+/**
+ * Pure JavaScript SHA-256 implementation
+ * 
+ * SECURITY NOTE: A hash mismatch between chains means lost funds, so this is
+ * tested against Node's crypto over randomized inputs and the NIST vectors
+ * (test/htlc.test.js). The secret format is strictly 0x + 64 hex chars,
+ * interpreted as raw bytes (not UTF-8 string); see toBytes for other inputs.
+ * 
+ * @param {string} message - Input (0x-prefixed hex or plain string)
+ * @returns {string} - SHA-256 hash as 0x + 64 hex chars
+ */
+function sha256(message) {
+  // Convert input to bytes
+  const bytes = toBytes(message);
 
   // SHA-256 constants (first 32 bits of fractional parts of cube roots of first 64 primes)
   const K = [
@@ -236,16 +763,16 @@ function sha256(message) {
 
   // Preprocessing: add padding bits
   const originalLen = bytes.length;
-  const bitLen = originalLen * 8;
   bytes.push(0x80);
   while ((bytes.length % 64) !== 56) bytes.push(0);
   
-  // Append 64-bit length (big-endian)
-  bytes.push(0, 0, 0, 0);
-  bytes.push((bitLen >>> 24) & 0xff);
-  bytes.push((bitLen >>> 16) & 0xff);
-  bytes.push((bitLen >>> 8) & 0xff);
-  bytes.push(bitLen & 0xff);
+  // Append the 64-bit bit length (big-endian); bitLen can exceed 32 bits,
+  // so split it arithmetically rather than with 32-bit shifts
+  const bitLenHigh = Math.floor(originalLen / 0x20000000); // (originalLen * 8) / 2^32
+  const bitLenLow = (originalLen * 8) >>> 0;
+  for (const word of [bitLenHigh, bitLenLow]) {
+    bytes.push((word >>> 24) & 0xff, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff);
+  }
 
   // Process each 64-byte chunk
   for (let i = 0; i < bytes.length; i += 64) {
@@ -288,10 +815,120 @@ function sha256(message) {
 }
 
 /**
- * Hash a secret using SHA-256
+ * Pure JavaScript Keccak-256 (the original Keccak padding used by Ethereum,
+ * not NIST SHA3-256). Matches Solidity's keccak256 and ethers.keccak256.
+ * 
+ * 64-bit lanes are held as two 32-bit words (low, high), so no BigInt is needed.
+ * 
+ * @param {string} message - Input (0x-prefixed hex or plain string)
+ * @returns {string} - Keccak-256 hash as 0x + 64 hex chars
  */
-function hashSecret(secret) {
-  return sha256(secret);
+function keccak256(message) {
+  const bytes = toBytes(message);
+  const RATE = 136; // 1088-bit rate for a 256-bit output
+
+  // Round constants as [low, high] word pairs
+  const RC = [
+    0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+    0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+    0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+    0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+    0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+    0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+  ];
+
+  // Rotation offsets, indexed by lane x + 5y
+  const R = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+  // Rotate the lane (lo, hi) left by n bits, writing the result into out[k], out[k + 1]
+  const rotl = (lo, hi, n, out, k) => {
+    if (n >= 32) {
+      [lo, hi] = [hi, lo];
+      n -= 32;
+    }
+    out[k] = n === 0 ? lo : ((lo << n) | (hi >>> (32 - n))) >>> 0;
+    out[k + 1] = n === 0 ? hi : ((hi << n) | (lo >>> (32 - n))) >>> 0;
+  };
+
+  // State: 25 lanes, lane i = (S[2i] low word, S[2i + 1] high word)
+  const S = new Array(50).fill(0);
+  const B = new Array(50).fill(0);
+  const C = new Array(10).fill(0);
+  const D = new Array(10).fill(0);
+
+  const permute = () => {
+    for (let round = 0; round < 24; round++) {
+      // Theta
+      for (let x = 0; x < 5; x++) {
+        C[2 * x] = S[2 * x] ^ S[2 * x + 10] ^ S[2 * x + 20] ^ S[2 * x + 30] ^ S[2 * x + 40];
+        C[2 * x + 1] = S[2 * x + 1] ^ S[2 * x + 11] ^ S[2 * x + 21] ^ S[2 * x + 31] ^ S[2 * x + 41];
+      }
+      for (let x = 0; x < 5; x++) {
+        const prev = 2 * ((x + 4) % 5);
+        const next = 2 * ((x + 1) % 5);
+        rotl(C[next], C[next + 1], 1, D, 2 * x);
+        D[2 * x] ^= C[prev];
+        D[2 * x + 1] ^= C[prev + 1];
+      }
+      for (let i = 0; i < 25; i++) {
+        S[2 * i] ^= D[2 * (i % 5)];
+        S[2 * i + 1] ^= D[2 * (i % 5) + 1];
+      }
+      // Rho and Pi
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 5; y++) {
+          const i = x + 5 * y;
+          const j = y + 5 * ((2 * x + 3 * y) % 5);
+          rotl(S[2 * i], S[2 * i + 1], R[i], B, 2 * j);
+        }
+      }
+      // Chi
+      for (let y = 0; y < 25; y += 5) {
+        for (let x = 0; x < 5; x++) {
+          const i = 2 * (y + x);
+          const i1 = 2 * (y + (x + 1) % 5);
+          const i2 = 2 * (y + (x + 2) % 5);
+          S[i] = (B[i] ^ (~B[i1] & B[i2])) >>> 0;
+          S[i + 1] = (B[i + 1] ^ (~B[i1 + 1] & B[i2 + 1])) >>> 0;
+        }
+      }
+      // Iota
+      S[0] = (S[0] ^ RC[2 * round]) >>> 0;
+      S[1] = (S[1] ^ RC[2 * round + 1]) >>> 0;
+    }
+  };
+
+  // Padding: 0x01 after the message, 0x80 on the last byte of the block
+  bytes.push(0x01);
+  while (bytes.length % RATE !== 0) bytes.push(0);
+  bytes[bytes.length - 1] |= 0x80;
+
+  // Absorb each block as little-endian 32-bit words
+  for (let offset = 0; offset < bytes.length; offset += RATE) {
+    for (let w = 0; w < RATE / 4; w++) {
+      const b = offset + w * 4;
+      S[w] = (S[w] ^ (bytes[b] | (bytes[b + 1] << 8) | (bytes[b + 2] << 16) | (bytes[b + 3] << 24))) >>> 0;
+    }
+    permute();
+  }
+
+  // Squeeze the first 32 bytes (little-endian words)
+  let hex = '0x';
+  for (let w = 0; w < 8; w++) {
+    for (let k = 0; k < 4; k++) {
+      hex += ((S[w] >>> (8 * k)) & 0xff).toString(16).padStart(2, '0');
+    }
+  }
+  return hex;
+}
+
+/**
+ * Hash a secret with a swap's hash algorithm
+ * @param {string} secret - 0x + 64 hex chars
+ * @param {string} algorithm - HashAlgorithm value (swaps created before it was recorded are SHA-256)
+ */
+function hashSecret(secret, algorithm = HashAlgorithm.SHA256) {
+  return algorithm === HashAlgorithm.KECCAK256 ? keccak256(secret) : sha256(secret);
 }
 
 // ============================================
@@ -304,13 +941,19 @@ function hashSecret(secret) {
  * REAL TRANSFER: Receives tez via X-JSTZ-AMOUNT header (set by runtime)
  * The smart function automatically holds the received tez in escrow.
  * 
- * @param {string} hashlock - SHA-256 hash of the secret (0x + 64 hex chars)
+ * Several swaps may share a hashlock: each gets its own swapId (see computeSwapId).
+ * 
+ * @param {string} hashlock - Hash of the secret (0x + 64 hex chars)
  * @param {string|null} recipient - Address that can claim (null = anyone with secret)
  * @param {number} expiration - Unix timestamp when swap expires
  * @param {number} amountMutez - Amount received in mutez (from X-JSTZ-AMOUNT)
  * @param {string} sender - Caller's address (from Referer header, set by runtime)
+ * @param {number} relayerFeeMutez - Paid out of the amount to whoever claims for the recipient
+ * @param {string} hashAlgorithm - How the hashlock was built: 'sha256' (default) or 'keccak256'
+ * @param {object} counterpart - Optional other leg: { chain, account, amount, reference }
+ * @param {string} notify - Optional smart function called when the swap settles
  */
-function initiate(hashlock, recipient, expiration, amountMutez, sender) {
+function initiate(hashlock, recipient, expiration, amountMutez, sender, relayerFeeMutez = 0, hashAlgorithm, counterpart, notify) {
   // === VALIDATION ===
   
   // 1. Validate hashlock format
@@ -343,28 +986,50 @@ function initiate(hashlock, recipient, expiration, amountMutez, sender) {
     throw new Error('Invalid recipient address format');
   }
   
-  // 6. Check for duplicate
-  const existing = getSwapFromKv(hashlock);
-  if (existing) {
-    throw new Error('Swap with this hashlock already exists');
+  // 6. Validate relayer fee (only meaningful when the payee is fixed)
+  const relayerFee = parseRelayerFee(relayerFeeMutez, amount, recipient);
+  
+  // 7. Validate hash algorithm
+  const algorithm = parseHashAlgorithm(hashAlgorithm);
+  
+  // 8. Validate the counterpart leg (optional)
+  const counterpartLeg = parseCounterpart(counterpart);
+  
+  // 9. Validate the notify receiver (optional)
+  const notifyAddress = parseNotify(notify);
+  
+  // 10. Derive the swap id (sender nonce makes it unique)
+  const nonce = takeNonce(sender);
+  const swapId = computeSwapId(sender, recipient, hashlock, nonce);
+  if (getSwapFromKv(swapId)) {
+    throw new Error('Swap with this id already exists');
   }
   
   // === CREATE SWAP ===
   const swap = {
+    swapId,
     hashlock,
+    hashAlgorithm: algorithm,
+    nonce,
     sender,
     recipient: recipient || null,
     amountMutez: amount,
     amountXtz: mutezToXtz(amount),
+    relayerFeeMutez: relayerFee,
     expiration: exp,
+    counterpart: counterpartLeg,
+    notify: notifyAddress,
     status: SwapStatus.OPEN,
     createdAt: now()
   };
   
-  saveSwapToKv(hashlock, swap);
-  addSwapKey(hashlock);
+  swap.seq = appendSwapSequence(swapId);
+  saveSwapToKv(swap);
+  addToHashlockIndex(hashlock, swapId);
+  indexSwapParties(swap);
+  appendEvent('SwapInitiated', swap, swap);
   
-  console.log(`[HTLC] Swap initiated: ${hashlock.substring(0, 16)}... by ${sender}`);
+  console.log(`[HTLC] Swap initiated: ${swapId.substring(0, 16)}... (hashlock ${hashlock.substring(0, 16)}...) by ${sender}`);
   console.log(`[HTLC] Amount locked: ${amount} mutez (${mutezToXtz(amount)} XTZ)`);
   
   return {
@@ -378,19 +1043,22 @@ function initiate(hashlock, recipient, expiration, amountMutez, sender) {
 /**
  * CLAIM - Claim funds by revealing the secret
  * 
- * REAL TRANSFER: Sends tez to claimer via X-JSTZ-TRANSFER header in response
+ * REAL TRANSFER: Sends tez to claimer via X-JSTZ-TRANSFER header in response.
+ * A relayed claim (caller is not the designated recipient) pays the recipient
+ * through `payouts` and only the relayer fee to the caller.
  * 
- * @param {string} hashlock - The hashlock of the swap to claim
- * @param {string} secret - The preimage that hashes to the hashlock
+ * @param {string} swapId - The id of the swap to claim
+ * @param {string} secret - The preimage that hashes to the swap's hashlock
  * @param {string} claimer - Caller's address (from Referer header, set by runtime)
- * @returns {Response} - Response with X-JSTZ-TRANSFER header
+ * @returns {object} - Result with transferMutez, payouts and notifications to send via
+ *   sendPayouts()/sendNotifications()/transferResponse()
  */
-function claim(hashlock, secret, claimer) {
+function claim(swapId, secret, claimer) {
   // === VALIDATION ===
   
-  // 1. Validate hashlock
-  if (!isValidHashlock(hashlock)) {
-    throw new Error('Invalid hashlock format');
+  // 1. Validate swap id
+  if (!isValidSwapId(swapId)) {
+    throw new Error('Invalid swapId format');
   }
   
   // 2. Validate secret format
@@ -407,7 +1075,7 @@ function claim(hashlock, secret, claimer) {
   }
   
   // 4. Get swap
-  const swap = getSwapFromKv(hashlock);
+  const swap = getSwapFromKv(swapId);
   if (!swap) {
     throw new Error('Swap not found');
   }
@@ -422,63 +1090,78 @@ function claim(hashlock, secret, claimer) {
     throw new Error('Swap has expired, cannot claim');
   }
   
-  // 7. CRITICAL: Verify secret matches hashlock
-  const computedHash = hashSecret(secret);
-  if (computedHash.toLowerCase() !== hashlock.toLowerCase()) {
+  // 7. CRITICAL: Verify secret matches hashlock (with the swap's hash algorithm)
+  const computedHash = hashSecret(secret, swap.hashAlgorithm);
+  if (computedHash.toLowerCase() !== swap.hashlock.toLowerCase()) {
     throw new Error('Invalid secret: hash does not match hashlock');
   }
   
-  // 8. CRITICAL: Verify claimer authorization
-  if (swap.recipient && swap.recipient !== claimer) {
-    throw new Error('Only the designated recipient can claim this swap');
-  }
+  // 8. CRITICAL: Funds go to the designated recipient whoever claims
+  // (open swaps pay the claimer, as before)
+  const paidTo = swap.recipient || claimer;
+  const relayed = paidTo !== claimer;
+  const relayerFee = relayed ? (swap.relayerFeeMutez || 0) : 0;
+  const payoutMutez = swap.amountMutez - relayerFee;
   
   // === EXECUTE CLAIM ===
   swap.status = SwapStatus.CLAIMED;
   swap.claimedBy = claimer;
+  swap.paidTo = paidTo;
   swap.claimedAt = now();
   swap.revealedSecret = secret;
   
-  saveSwapToKv(hashlock, swap);
+  saveSwapToKv(swap);
+  if (!swap.recipient) {
+    // Open swap: the claimer is the recipient from now on
+    addToAddressIndex(IndexRole.RECIPIENT, claimer, swapId);
+  }
+  
+  const data = {
+    swapId,
+    hashlock: swap.hashlock,
+    secret,
+    claimedBy: claimer,
+    paidTo,
+    amount: swap.amountXtz,
+    amountMutez: swap.amountMutez,
+    payoutMutez,
+    relayerFeeMutez: relayerFee
+  };
+  const entry = appendEvent('SwapClaimed', swap, data);
   
-  console.log(`[HTLC] Swap claimed: ${hashlock.substring(0, 16)}... by ${claimer}`);
-  console.log(`[HTLC] Transferring ${swap.amountMutez} mutez to ${claimer}`);
+  console.log(`[HTLC] Swap claimed: ${swapId.substring(0, 16)}... by ${claimer}`);
+  console.log(`[HTLC] Transferring ${payoutMutez} mutez to ${paidTo}`);
+  if (relayed) {
+    console.log(`[HTLC] Relayer fee: ${relayerFee} mutez to ${claimer}`);
+  }
   
-  // Return response with transfer header
-  // The runtime will execute the transfer when it sees X-JSTZ-TRANSFER
-  return new Response(JSON.stringify({
+  return {
     success: true,
     event: 'SwapClaimed',
-    data: {
-      hashlock,
-      secret,
-      claimedBy: claimer,
-      amount: swap.amountXtz,
-      amountMutez: swap.amountMutez
-    }
-  }), {
-    headers: {
-      'Content-Type': 'application/json',
-      'X-JSTZ-TRANSFER': swap.amountMutez.toString()
-    }
-  });
+    data,
+    transferMutez: relayed ? relayerFee : payoutMutez,
+    payouts: relayed ? [{ to: paidTo, amountMutez: payoutMutez }] : [],
+    notifications: notificationsFor(swap, entry)
+  };
 }
 
 /**
  * REFUND - Refund funds after timelock expires
  * 
- * REAL TRANSFER: Sends tez back to sender via X-JSTZ-TRANSFER header
+ * REAL TRANSFER: Sends tez back to sender via X-JSTZ-TRANSFER header when the
+ * sender calls, or through `payouts` when someone else (a watchtower) triggers it.
  * 
- * @param {string} hashlock - The hashlock of the swap to refund
+ * @param {string} swapId - The id of the swap to refund
  * @param {string} refunder - Caller's address (from Referer header, set by runtime)
- * @returns {Response} - Response with X-JSTZ-TRANSFER header
+ * @returns {object} - Result with transferMutez, payouts and notifications to send via
+ *   sendPayouts()/sendNotifications()/transferResponse()
  */
-function refund(hashlock, refunder) {
+function refund(swapId, refunder) {
   // === VALIDATION ===
   
-  // 1. Validate hashlock
-  if (!isValidHashlock(hashlock)) {
-    throw new Error('Invalid hashlock format');
+  // 1. Validate swap id
+  if (!isValidSwapId(swapId)) {
+    throw new Error('Invalid swapId format');
   }
   
   // 2. Validate refunder
@@ -487,7 +1170,7 @@ function refund(hashlock, refunder) {
   }
   
   // 3. Get swap
-  const swap = getSwapFromKv(hashlock);
+  const swap = getSwapFromKv(swapId);
   if (!swap) {
     throw new Error('Swap not found');
   }
@@ -505,83 +1188,563 @@ function refund(hashlock, refunder) {
     throw new Error(`Cannot refund yet. Timelock expires in ${mins}m ${secs}s`);
   }
   
-  // 6. CRITICAL: Only original sender can refund
-  if (swap.sender !== refunder) {
-    throw new Error('Only the original sender can refund this swap');
-  }
+  // 6. CRITICAL: Funds go back to the original sender, whoever triggers the refund
+  const triggeredBySender = swap.sender === refunder;
   
   // === EXECUTE REFUND ===
   swap.status = SwapStatus.REFUNDED;
+  swap.refundedBy = refunder;
   swap.refundedAt = now();
   
-  saveSwapToKv(hashlock, swap);
+  saveSwapToKv(swap);
   
-  console.log(`[HTLC] Swap refunded: ${hashlock.substring(0, 16)}... to ${refunder}`);
+  const data = {
+    swapId,
+    hashlock: swap.hashlock,
+    refundedTo: swap.sender,
+    refundedBy: refunder,
+    amount: swap.amountXtz,
+    amountMutez: swap.amountMutez
+  };
+  const entry = appendEvent('SwapRefunded', swap, data);
+  
+  console.log(`[HTLC] Swap refunded: ${swapId.substring(0, 16)}... to ${swap.sender} (triggered by ${refunder})`);
   console.log(`[HTLC] Transferring ${swap.amountMutez} mutez back to sender`);
   
-  // Return response with transfer header
-  return new Response(JSON.stringify({
+  return {
     success: true,
     event: 'SwapRefunded',
-    data: {
-      hashlock,
-      refundedTo: swap.sender,
-      amount: swap.amountXtz,
-      amountMutez: swap.amountMutez
+    data,
+    transferMutez: triggeredBySender ? swap.amountMutez : 0,
+    payouts: triggeredBySender ? [] : [{ to: swap.sender, amountMutez: swap.amountMutez }],
+    notifications: notificationsFor(swap, entry)
+  };
+}
+
+/**
+ * EXTEND - Push back the expiration of an open swap
+ * 
+ * Only the sender may extend, only before the swap expires, and only to a later
+ * expiration that is still in the future. Once expired, a swap can only be
+ * refunded: its claim window never reopens.
+ * 
+ * @param {string} swapId - The id of the swap to extend
+ * @param {number} newExpiration - New Unix timestamp (seconds)
+ * @param {string} caller - Caller's address (from Referer header, set by runtime)
+ * @returns {object} - Result with event data
+ */
+function extend(swapId, newExpiration, caller) {
+  // === VALIDATION ===
+  
+  // 1. Validate swap id
+  if (!isValidSwapId(swapId)) {
+    throw new Error('Invalid swapId format');
+  }
+  
+  // 2. Validate expiration
+  const exp = parseExpiration(newExpiration);
+  if (!exp) {
+    throw new Error('Invalid expiration: must be a valid Unix timestamp');
+  }
+  if (exp <= now()) {
+    throw new Error('Expiration must be in the future');
+  }
+  
+  // 3. Get swap
+  const swap = getSwapFromKv(swapId);
+  if (!swap) {
+    throw new Error('Swap not found');
+  }
+  
+  // 4. Check status
+  if (swap.status !== SwapStatus.OPEN) {
+    throw new Error(`Swap is ${swap.status}, cannot extend`);
+  }
+  
+  // 5. CRITICAL: Only the sender can give the recipient more time
+  if (caller !== swap.sender) {
+    throw new Error('Only the sender can extend this swap');
+  }
+  
+  // 6. CRITICAL: An expired swap can only be refunded (same boundary as claim)
+  if (now() >= swap.expiration) {
+    throw new Error('Swap has expired, cannot extend');
+  }
+  
+  // 7. CRITICAL: Never shorten the recipient's window
+  if (exp <= swap.expiration) {
+    throw new Error(`New expiration must be later than the current one (${swap.expiration})`);
+  }
+  
+  // === EXECUTE EXTEND ===
+  const oldExpiration = swap.expiration;
+  swap.expiration = exp;
+  saveSwapToKv(swap);
+  
+  const data = {
+    swapId,
+    hashlock: swap.hashlock,
+    sender: swap.sender,
+    oldExpiration,
+    newExpiration: exp
+  };
+  appendEvent('SwapExtended', swap, data);
+  
+  console.log(`[HTLC] Swap extended: ${swapId.substring(0, 16)}... expiration ${oldExpiration} -> ${exp}`);
+  
+  return {
+    success: true,
+    event: 'SwapExtended',
+    data
+  };
+}
+
+/**
+ * CANCEL - Give the funds back to the sender before expiration
+ * 
+ * Only the designated recipient may cancel: they are the one giving up the right
+ * to claim. The swap ends REFUNDED, like a refund; the funds are sent to the
+ * sender through `payouts`.
+ * 
+ * @param {string} swapId - The id of the swap to cancel
+ * @param {string} canceller - Caller's address (from Referer header, set by runtime)
+ * @returns {object} - Result with transferMutez, payouts and notifications to send via
+ *   sendPayouts()/sendNotifications()/transferResponse()
+ */
+function cancel(swapId, canceller) {
+  // === VALIDATION ===
+  
+  // 1. Validate swap id
+  if (!isValidSwapId(swapId)) {
+    throw new Error('Invalid swapId format');
+  }
+  
+  // 2. Get swap
+  const swap = getSwapFromKv(swapId);
+  if (!swap) {
+    throw new Error('Swap not found');
+  }
+  
+  // 3. Check status
+  if (swap.status !== SwapStatus.OPEN) {
+    throw new Error(`Swap is ${swap.status}, cannot cancel`);
+  }
+  
+  // 4. CRITICAL: Only the designated recipient can give up the swap
+  if (!swap.recipient) {
+    throw new Error('Swap has no designated recipient and cannot be cancelled; wait for expiration and refund');
+  }
+  if (canceller !== swap.recipient) {
+    throw new Error('Only the recipient can cancel this swap');
+  }
+  
+  // === EXECUTE CANCEL ===
+  swap.status = SwapStatus.REFUNDED;
+  swap.refundedBy = canceller;
+  swap.refundedAt = now();
+  swap.cancelledBy = canceller;
+  
+  saveSwapToKv(swap);
+  
+  const data = {
+    swapId,
+    hashlock: swap.hashlock,
+    refundedTo: swap.sender,
+    cancelledBy: canceller,
+    amount: swap.amountXtz,
+    amountMutez: swap.amountMutez
+  };
+  const entry = appendEvent('SwapCancelled', swap, data);
+  
+  console.log(`[HTLC] Swap cancelled: ${swapId.substring(0, 16)}... by recipient ${canceller}, ${swap.amountMutez} mutez back to ${swap.sender}`);
+  
+  return {
+    success: true,
+    event: 'SwapCancelled',
+    data,
+    transferMutez: 0,
+    payouts: [{ to: swap.sender, amountMutez: swap.amountMutez }],
+    notifications: notificationsFor(swap, entry)
+  };
+}
+
+/**
+ * BATCH - Apply several initiate/claim/refund actions in one signed operation
+ * 
+ * Each item is { action: 'initiate' | 'claim' | 'refund', ...same body as the route }.
+ * Initiate items also carry `amountMutez`: the X-JSTZ-AMOUNT of the whole call is
+ * split between them, and whatever is not locked is sent back.
+ * 
+ * Modes:
+ * - 'per-item' (default): each item is applied atomically on its own; a failed
+ *   item leaves no trace and the others still apply. If every item fails, the
+ *   call fails as well.
+ * - 'all-or-nothing': the first failure discards every item and fails the call.
+ * 
+ * @param {object[]} actions - Items to apply, in order
+ * @param {string} mode - 'per-item' | 'all-or-nothing'
+ * @param {number} amountMutez - Amount received for the whole batch (from X-JSTZ-AMOUNT)
+ * @param {string} caller - Caller's address (from Referer header, set by runtime)
+ * @returns {object} - Per-item results, the total transferMutez to send back, the payouts
+ *   owed to other addresses (sent after every item is applied; a refused one fails the call)
+ *   and the notifications of the settled swaps
+ */
+function batch(actions, mode, amountMutez, caller) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    throw new Error('Batch requires a non-empty actions array');
+  }
+  if (actions.length > MAX_BATCH_ACTIONS) {
+    throw new Error(`Batch too large: maximum is ${MAX_BATCH_ACTIONS} actions`);
+  }
+  const batchMode = mode || BatchMode.PER_ITEM;
+  if (!Object.values(BatchMode).includes(batchMode)) {
+    throw new Error(`Invalid batch mode: ${batchMode} (expected per-item or all-or-nothing)`);
+  }
+  
+  const received = parseAmountMutez(amountMutez);
+  let unlocked = received; // Tez received but not (yet) locked by an initiate item
+  let payout = 0;          // Tez owed to the caller by claim/refund items
+  const payouts = [];      // Tez owed to other addresses (relayed claims, third-party refunds)
+  const notifications = []; // Notify receivers of the settled swaps
+  
+  const applyItem = (item) => {
+    const { action, swapId, hashlock, secret, recipient, expiration, relayerFeeMutez, hashAlgorithm, counterpart, notify } = item || {};
+    switch (action) {
+      case 'initiate': {
+        const itemAmount = parseAmountMutez(item.amountMutez);
+        if (itemAmount > unlocked) {
+          throw new Error(`Insufficient amount: batch has ${unlocked} mutez left to lock, item needs ${itemAmount} mutez. Send tez with the transaction.`);
+        }
+        const result = initiate(hashlock, recipient, expiration, itemAmount, caller, relayerFeeMutez, hashAlgorithm, counterpart, notify);
+        unlocked -= itemAmount;
+        return result;
+      }
+      case 'claim': {
+        const result = claim(swapId, secret, caller);
+        payout += result.transferMutez;
+        payouts.push(...result.payouts);
+        notifications.push(...result.notifications);
+        return result;
+      }
+      case 'refund': {
+        const result = refund(swapId, caller);
+        payout += result.transferMutez;
+        payouts.push(...result.payouts);
+        notifications.push(...result.notifications);
+        return result;
+      }
+      default:
+        throw new Error(`Unknown batch action: ${action} (expected initiate, claim or refund)`);
     }
-  }), {
-    headers: {
-      'Content-Type': 'application/json',
-      'X-JSTZ-TRANSFER': swap.amountMutez.toString()
+  };
+  
+  const results = [];
+  const run = () => {
+    actions.forEach((item, index) => {
+      const action = item?.action;
+      try {
+        const { success, event, data } = withKvTransaction(() => applyItem(item));
+        results.push({ index, action, success, event, data });
+      } catch (error) {
+        results.push({ index, action, success: false, error: error.message });
+        if (batchMode === BatchMode.ALL_OR_NOTHING) {
+          throw new Error(`Batch aborted: action ${index} (${action}) failed: ${error.message}`);
+        }
+      }
+    });
+  };
+  
+  if (batchMode === BatchMode.ALL_OR_NOTHING) {
+    try {
+      withKvTransaction(run);
+    } catch (error) {
+      error.results = results;
+      throw error;
     }
-  });
+  } else {
+    run();
+  }
+  
+  const applied = results.filter(r => r.success).length;
+  if (applied === 0) {
+    // Nothing applied: fail the call like an aborted all-or-nothing batch
+    const error = new Error(`Batch failed: none of the ${actions.length} actions applied`);
+    error.results = results;
+    throw error;
+  }
+  console.log(`[HTLC] Batch (${batchMode}): ${applied}/${actions.length} applied by ${caller}`);
+  
+  return {
+    success: true,
+    event: 'BatchApplied',
+    mode: batchMode,
+    applied,
+    failed: actions.length - applied,
+    results,
+    transferMutez: payout + unlocked,
+    payouts,
+    notifications
+  };
+}
+
+/**
+ * Send tez from the smart function's balance to addresses other than the caller
+ * Each transfer is a request to jstz://<address>/ carrying X-JSTZ-TRANSFER.
+ * Called after the Kv state is updated; throws if a transfer is refused so the
+ * call fails and the runtime reverts it.
+ * @param {{to: string, amountMutez: number}[]} payouts
+ */
+async function sendPayouts(payouts = []) {
+  for (const { to, amountMutez } of payouts) {
+    if (amountMutez <= 0) continue;
+    const response = await fetch(new Request(`jstz://${to}/`, {
+      method: 'POST',
+      headers: { 'X-JSTZ-TRANSFER': amountMutez.toString() }
+    }));
+    if (!response.ok) {
+      throw new Error(`Transfer of ${amountMutez} mutez to ${to} failed (status ${response.status})`);
+    }
+  }
+}
+
+/**
+ * Notifications owed for a settled swap: none unless the sender set `notify`
+ * @param {object} swap - Swap that was just claimed, refunded or cancelled
+ * @param {object} entry - Its journal entry, sent as the payload
+ */
+function notificationsFor(swap, entry) {
+  return swap.notify ? [{ to: swap.notify, payload: entry }] : [];
+}
+
+/**
+ * Whether an address is a party to a swap: its sender or its payee
+ * (the designated recipient, or whoever claimed an open swap)
+ */
+function isSwapParty(swap, address) {
+  return address === swap.sender || address === (swap.recipient || swap.paidTo);
+}
+
+/**
+ * Call the notify smart function of each settled swap
+ * Each call is a POST of the journal entry to jstz://<notify>/swap-event. The
+ * runtime sets Referer to this smart function, which is the only way receivers
+ * can authenticate it; X-HTLC-Digest is an unkeyed checksum anyone can recompute.
+ * Called after sendPayouts(). Never throws: the outcome is recorded on the swap
+ * as `notifyDelivery` and a failed delivery leaves the settled swap as it is.
+ * @param {{to: string, payload: object}[]} notifications
+ * @param {boolean} skip - Caller asked not to call receivers (recorded as skipped)
+ * @param {string} caller - Address settling the swaps; skip is only honoured for
+ *   swaps it is a party to, so a relayer or watchtower cannot silence the receiver
+ */
+async function sendNotifications(notifications = [], skip = false, caller = null) {
+  for (const { to, payload } of notifications) {
+    const body = JSON.stringify(payload);
+    const digest = eventDigest(body);
+    const settled = getSwapFromKv(payload.swapId);
+    let delivery;
+    if (skip && settled && isSwapParty(settled, caller)) {
+      delivery = { delivered: false, skipped: true };
+    } else {
+      try {
+        const response = await fetch(new Request(`jstz://${to}${NOTIFY_PATH}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-HTLC-Event': payload.event, 'X-HTLC-Digest': digest },
+          body
+        }));
+        delivery = response.ok
+          ? { delivered: true, status: response.status }
+          : { delivered: false, status: response.status, error: `Receiver answered ${response.status}` };
+      } catch (error) {
+        delivery = { delivered: false, error: error.message };
+      }
+    }
+    
+    // Re-read: the receiver may have called back into this smart function
+    const swap = getSwapFromKv(payload.swapId);
+    if (swap) {
+      swap.notifyDelivery = { to, event: payload.event, seq: payload.seq, digest, ...delivery, at: now() };
+      saveSwapToKv(swap);
+    }
+    console.log(`[HTLC] Notify ${to} of ${payload.event}: ${delivery.delivered ? 'delivered' : (delivery.skipped ? 'skipped' : `failed (${delivery.error})`)}`);
+  }
+}
+
+/**
+ * Build the response of an operation that pays tez back to the caller
+ * The runtime executes the transfer when it sees X-JSTZ-TRANSFER
+ * @param {object} result - Operation result; transferMutez is moved to the header,
+ *   payouts and notifications (already sent) are dropped from the body
+ */
+function transferResponse(result) {
+  const { transferMutez, payouts, notifications, ...body } = result;
+  const headers = { 'Content-Type': 'application/json' };
+  if (transferMutez > 0) {
+    headers['X-JSTZ-TRANSFER'] = transferMutez.toString();
+  }
+  return new Response(JSON.stringify(body), { headers });
+}
+
+/**
+ * Copy of a swap safe to return (secret hidden unless already claimed)
+ * Swaps created before hashAlgorithm was recorded are reported as SHA-256,
+ * swaps without a counterpart leg or notify receiver report them as null.
+ */
+function toPublicSwap(swap) {
+  const safeSwap = {
+    ...swap,
+    hashAlgorithm: swap.hashAlgorithm || HashAlgorithm.SHA256,
+    counterpart: swap.counterpart || null,
+    notify: swap.notify || null
+  };
+  if (swap.status !== SwapStatus.CLAIMED) {
+    delete safeSwap.revealedSecret;
+  }
+  return safeSwap;
 }
 
 /**
  * GET SWAP - Retrieve swap details
  */
-function getSwap(hashlock) {
-  if (!isValidHashlock(hashlock)) {
-    return { found: false, error: 'Invalid hashlock format' };
+function getSwap(swapId) {
+  if (!isValidSwapId(swapId)) {
+    return { found: false, error: 'Invalid swapId format' };
   }
   
-  const swap = getSwapFromKv(hashlock);
+  const swap = getSwapFromKv(swapId);
   if (!swap) {
     return { found: false, error: 'Swap not found' };
   }
   
   // Don't reveal secret unless already claimed
-  const safeSwap = { ...swap };
-  if (swap.status !== SwapStatus.CLAIMED) {
-    delete safeSwap.revealedSecret;
-  }
-  
-  return { found: true, swap: safeSwap };
+  return { found: true, swap: toPublicSwap(swap) };
 }
 
 /**
- * LIST SWAPS - Get all swaps (paginated)
+ * LIST SWAPS - Walk the swap sequence log, newest first (cursor-paginated)
+ * 
+ * A page reads at most `limit` sequence entries, so a status filter may return
+ * fewer swaps than `limit` while `nextCursor` is still set. Keep following
+ * `nextCursor` until it is null to see every swap ever created.
+ * 
+ * @param {string|null} filterStatus - Only return swaps with this status
+ * @param {number|null} cursor - Sequence number to start from (null = newest)
+ * @param {number} limit - Max sequence entries to read
+ * @returns {{swaps: object[], nextCursor: number|null, total: number}}
  */
-function listSwaps(filterStatus = null, limit = MAX_SWAPS_LIST) {
-  const keys = getAllSwapKeys(limit);
+function listSwaps(filterStatus = null, cursor = null, limit = MAX_SWAPS_LIST) {
+  const total = getSwapCount();
+  const start = cursor === null ? total - 1 : Math.min(cursor, total - 1);
+  const end = Math.max(start - limit + 1, 0);
   const swaps = [];
   
-  for (const hashlock of keys) {
-    const swap = getSwapFromKv(hashlock);
+  for (let seq = start; seq >= end; seq--) {
+    const swapId = getSwapKeyAt(seq);
+    const swap = swapId ? getSwapFromKv(swapId) : null;
     if (swap) {
       // Apply status filter if provided
       if (!filterStatus || swap.status === filterStatus) {
         // Don't reveal secrets
-        const safeSwap = { ...swap };
-        if (swap.status !== SwapStatus.CLAIMED) {
-          delete safeSwap.revealedSecret;
-        }
-        swaps.push(safeSwap);
+        swaps.push(toPublicSwap(swap));
       }
     }
   }
   
-  return swaps;
+  return {
+    swaps,
+    nextCursor: end > 0 && start >= 0 ? end - 1 : null,
+    total
+  };
+}
+
+/**
+ * LIST SWAPS BY ADDRESS - Swaps an address sent or receives, newest first (cursor-paginated)
+ * 
+ * Same paging as listSwaps: a page reads at most `limit` index entries, so a status
+ * filter may return fewer swaps while `nextCursor` is still set.
+ * 
+ * @param {string} role - IndexRole.SENDER or IndexRole.RECIPIENT
+ * @param {string} address - Tezos address to look up
+ * @param {string[]|null} statuses - Statuses to include (null = all)
+ * @param {number|null} cursor - Index entry to start from (null = newest)
+ * @param {number} limit - Max index entries to read
+ * @returns {{swaps: object[], nextCursor: number|null, total: number}}
+ */
+function listSwapsByAddress(role, address, statuses = null, cursor = null, limit = MAX_SWAPS_LIST) {
+  if (!isValidAddress(address)) {
+    throw new Error('Invalid address format');
+  }
+  
+  const total = getAddressIndexCount(role, address);
+  const start = cursor === null ? total - 1 : Math.min(cursor, total - 1);
+  const end = Math.max(start - limit + 1, 0);
+  const swaps = [];
+  
+  for (let seq = start; seq >= end; seq--) {
+    const swapId = kvGet(`${addressIndexKey(role, address)}/seq/${seq}`);
+    const swap = swapId ? getSwapFromKv(swapId) : null;
+    if (swap && (!statuses || statuses.includes(swap.status))) {
+      swaps.push(toPublicSwap(swap));
+    }
+  }
+  
+  return {
+    swaps,
+    nextCursor: end > 0 && start >= 0 ? end - 1 : null,
+    total
+  };
+}
+
+/**
+ * LIST SWAPS BY HASHLOCK - Swaps locked under a hashlock, oldest first (offset-paginated)
+ * 
+ * Anyone can lock funds under a hashlock they have seen, so callers must pick
+ * the swap whose sender/recipient they expect instead of trusting the first one.
+ * A page reads at most `limit` index entries, so a status filter may return fewer.
+ * 
+ * @param {string} hashlock - Hashlock to look up
+ * @param {string[]|null} statuses - Statuses to include (null = all)
+ * @param {number} offset - Index entry to start from (0 = oldest)
+ * @param {number} limit - Max index entries to read
+ * @returns {{swaps: object[], total: number}}
+ */
+function listSwapsByHashlock(hashlock, statuses = null, offset = 0, limit = MAX_SWAPS_LIST) {
+  if (!isValidHashlock(hashlock)) {
+    throw new Error('Invalid hashlock format');
+  }
+  
+  const total = getHashlockIndexCount(hashlock);
+  const end = Math.min(offset + limit, total);
+  const swaps = [];
+  for (let seq = offset; seq < end; seq++) {
+    const swapId = kvGet(`${hashlockIndexKey(hashlock)}/seq/${seq}`);
+    const swap = swapId ? getSwapFromKv(swapId) : null;
+    if (swap && (!statuses || statuses.includes(swap.status))) {
+      swaps.push(toPublicSwap(swap));
+    }
+  }
+  return { swaps, total };
+}
+
+/**
+ * LIST EVENTS - Read the journal forward from a sequence number
+ * @param {number} since - First sequence number to return (inclusive)
+ * @param {number} limit - Max entries to return
+ * @returns {{events: object[], nextSince: number, latest: number}}
+ *   nextSince is the `since` to pass on the next poll; latest is the journal length
+ */
+function listEvents(since = 0, limit = MAX_SWAPS_LIST) {
+  const latest = getEventCount();
+  const end = Math.min(since + limit, latest);
+  const events = [];
+  
+  for (let seq = since; seq < end; seq++) {
+    const entry = getEventAt(seq);
+    if (entry) {
+      events.push(entry);
+    }
+  }
+  
+  return { events, nextSince: Math.max(since, end), latest };
 }
 
 // ============================================
@@ -608,6 +1771,11 @@ const handler = async (request) => {
   }
 
   try {
+    // Reads stay read-only: only state-changing calls move legacy swaps
+    if (method === 'POST' && MUTATING_ROUTES.includes(path)) {
+      migrateLegacySwaps();
+    }
+    
     // Parse body for POST requests
     let body = {};
     if (method === 'POST') {
@@ -642,8 +1810,8 @@ const handler = async (request) => {
 
     // INITIATE
     if (path === '/initiate' && method === 'POST') {
-      const { hashlock, recipient, expiration } = body;
-      const result = initiate(hashlock, recipient, expiration, receivedAmount, caller);
+      const { hashlock, recipient, expiration, relayerFeeMutez, hashAlgorithm, counterpart, notify } = body;
+      const result = initiate(hashlock, recipient, expiration, receivedAmount, caller, relayerFeeMutez, hashAlgorithm, counterpart, notify);
       return new Response(JSON.stringify(result), {
         headers: { 'Content-Type': 'application/json' }
       });
@@ -651,36 +1819,118 @@ const handler = async (request) => {
 
     // CLAIM
     if (path === '/claim' && method === 'POST') {
-      const { hashlock, secret } = body;
-      // claim() returns a Response with X-JSTZ-TRANSFER header
-      return claim(hashlock, secret, caller);
+      const { swapId, secret, skipNotify } = body;
+      const result = claim(swapId, secret, caller);
+      // Relayed claims pay the recipient here; the response pays the caller
+      await sendPayouts(result.payouts);
+      await sendNotifications(result.notifications, skipNotify === true, caller);
+      return transferResponse(result);
     }
 
     // REFUND
     if (path === '/refund' && method === 'POST') {
-      const { hashlock } = body;
-      // refund() returns a Response with X-JSTZ-TRANSFER header
-      return refund(hashlock, caller);
+      const { swapId, skipNotify } = body;
+      const result = refund(swapId, caller);
+      // A refund triggered by someone else pays the sender here
+      await sendPayouts(result.payouts);
+      await sendNotifications(result.notifications, skipNotify === true, caller);
+      return transferResponse(result);
+    }
+
+    // EXTEND
+    if (path === '/extend' && method === 'POST') {
+      const { swapId, expiration } = body;
+      const result = extend(swapId, expiration, caller);
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // CANCEL
+    if (path === '/cancel' && method === 'POST') {
+      const { swapId, skipNotify } = body;
+      const result = cancel(swapId, caller);
+      // The recipient cancels; the sender is paid here
+      await sendPayouts(result.payouts);
+      await sendNotifications(result.notifications, skipNotify === true, caller);
+      return transferResponse(result);
+    }
+
+    // BATCH
+    if (path === '/batch' && method === 'POST') {
+      const { actions, mode, skipNotify } = body;
+      const result = batch(actions, mode, receivedAmount, caller);
+      await sendPayouts(result.payouts);
+      await sendNotifications(result.notifications, skipNotify === true, caller);
+      // Response carries the summed X-JSTZ-TRANSFER header
+      return transferResponse(result);
+    }
+
+    // MIGRATE (lets an operator finish moving legacy swaps without creating one)
+    if (path === '/migrate' && method === 'POST') {
+      const result = migrateLegacySwaps();
+      return new Response(JSON.stringify({ success: true, ...result }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
     }
 
     // GET SWAP (GET or POST for Jstz CLI compatibility)
     if (path.startsWith('/swap/') && (method === 'GET' || method === 'POST')) {
-      const hashlock = path.replace('/swap/', '');
-      const result = getSwap(hashlock);
+      const swapId = path.replace('/swap/', '');
+      const result = getSwap(swapId);
       return new Response(JSON.stringify(result), {
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
+    // LIST SWAPS BY HASHLOCK (GET or POST for Jstz CLI compatibility)
+    // /swaps/by-hashlock returns the page as an array; /v2/swaps/by-hashlock adds the total
+    const byHashlock = path.match(/^(\/v2)?\/swaps\/by-hashlock\/([^/]+)$/);
+    if (byHashlock && (method === 'GET' || method === 'POST')) {
+      const statuses = parseStatusFilter(url.searchParams.get('status') || body?.status);
+      const offset = parseSequence(url.searchParams.get('offset') ?? body?.offset, 'offset') ?? 0;
+      const limit = parseLimit(url.searchParams.get('limit') || body?.limit);
+      const page = listSwapsByHashlock(byHashlock[2], statuses, offset, limit);
+      return new Response(JSON.stringify(byHashlock[1] ? page : page.swaps), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // LIST SWAPS BY SENDER / RECIPIENT (GET or POST for Jstz CLI compatibility)
+    // /swaps/by-* returns the first page as an array; /v2/swaps/by-* returns cursor pages
+    const byAddress = path.match(/^(\/v2)?\/swaps\/by-(sender|recipient)\/([^/]+)$/);
+    if (byAddress && (method === 'GET' || method === 'POST')) {
+      const paged = byAddress[1] === '/v2';
+      const role = byAddress[2] === 'sender' ? IndexRole.SENDER : IndexRole.RECIPIENT;
+      const statuses = parseStatusFilter(url.searchParams.get('status') || body?.status);
+      const limit = parseLimit(url.searchParams.get('limit') || body?.limit);
+      const cursor = paged ? parseSequence(url.searchParams.get('cursor') ?? body?.cursor, 'cursor') : null;
+      const page = listSwapsByAddress(role, byAddress[3], statuses, cursor, limit);
+      return new Response(JSON.stringify(paged ? page : page.swaps), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // LIST SWAPS (GET or POST for Jstz CLI compatibility)
-    if (path === '/swaps' && (method === 'GET' || method === 'POST')) {
+    // /swaps keeps its original response, an array of the `limit` newest swaps (oldest
+    // first); /v2/swaps returns cursor pages { swaps, nextCursor, total }
+    if ((path === '/swaps' || path === '/v2/swaps') && (method === 'GET' || method === 'POST')) {
       const status = url.searchParams.get('status') || body?.status;
-      const limit = Math.min(
-        parseInt(url.searchParams.get('limit') || body?.limit || MAX_SWAPS_LIST), 
-        MAX_SWAPS_LIST
-      );
-      const swaps = listSwaps(status, limit);
-      return new Response(JSON.stringify(swaps), {
+      const limit = parseLimit(url.searchParams.get('limit') || body?.limit);
+      const paged = path === '/v2/swaps';
+      const cursor = paged ? parseSequence(url.searchParams.get('cursor') ?? body?.cursor, 'cursor') : null;
+      const page = listSwaps(status, cursor, limit);
+      return new Response(JSON.stringify(paged ? page : page.swaps.reverse()), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // EVENT JOURNAL (GET or POST for Jstz CLI compatibility)
+    if (path === '/events' && (method === 'GET' || method === 'POST')) {
+      const since = parseSequence(url.searchParams.get('since') ?? body?.since, 'since') ?? 0;
+      const limit = parseLimit(url.searchParams.get('limit') || body?.limit);
+      const page = listEvents(since, limit);
+      return new Response(JSON.stringify(page), {
         headers: { 'Content-Type': 'application/json' }
       });
     }
@@ -690,11 +1940,22 @@ const handler = async (request) => {
       error: 'Not found',
       availableEndpoints: [
         'GET  /           - Health check & security model',
-        'POST /initiate   - Create new swap (send tez with X-JSTZ-AMOUNT)',
-        'POST /claim      - Claim swap with secret',
-        'POST /refund     - Refund expired swap',
-        'ANY  /swap/:hash - Get swap details by hashlock',
-        'ANY  /swaps      - List swaps (optional: ?status=OPEN&limit=50)'
+        'POST /initiate   - Create new swap (send tez with X-JSTZ-AMOUNT; optional hashAlgorithm: sha256 | keccak256, counterpart: { chain, account, amount, reference }, notify: KT1 smart function called on settlement)',
+        'POST /claim      - Claim swap with secret ({ swapId, secret }; optional skipNotify, sender or payee only)',
+        'POST /refund     - Refund expired swap ({ swapId }; optional skipNotify, sender or payee only)',
+        'POST /extend     - Sender pushes back the expiration of an open swap ({ swapId, expiration })',
+        'POST /cancel     - Recipient releases an open swap back to the sender early ({ swapId }; optional skipNotify, sender or payee only)',
+        'POST /batch      - Apply several initiate/claim/refund actions (per-item or all-or-nothing)',
+        'POST /migrate    - Move the next legacy swap_keys entries into the paged layout',
+        'ANY  /swap/:id   - Get swap details by swapId',
+        'ANY  /swaps      - Newest swaps as an array, oldest first (optional: ?status=OPEN&limit=50)',
+        'ANY  /v2/swaps   - Every swap, newest first, in cursor pages (optional: ?status=OPEN&limit=50&cursor=<nextCursor>)',
+        'ANY  /swaps/by-sender/:address    - Newest swaps sent by address (optional: ?status=OPEN,CLAIMED&limit=50)',
+        'ANY  /swaps/by-recipient/:address - Newest swaps received by address (optional: ?status=OPEN&limit=50)',
+        'ANY  /v2/swaps/by-sender/:address, /v2/swaps/by-recipient/:address - Same, in cursor pages (optional: &cursor=<nextCursor>)',
+        'ANY  /swaps/by-hashlock/:hashlock - Swaps locked under a hashlock, oldest first (optional: ?status=OPEN&offset=0&limit=50)',
+        'ANY  /v2/swaps/by-hashlock/:hashlock - Same, as { swaps, total }',
+        'ANY  /events     - Event journal (optional: ?since=<nextSince>&limit=50)'
       ]
     }), {
       status: 404,
@@ -705,7 +1966,8 @@ const handler = async (request) => {
     console.log('[HTLC] Error:', error.message);
     return new Response(JSON.stringify({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.results ? { results: error.results } : {})
     }), {
       status: 400,
       headers: { 'Content-Type': 'application/json' }
@@ -713,4 +1975,6 @@ const handler = async (request) => {
   }
 };
 
+// Hash functions are exported for the test suite; the runtime only uses the default handler
+export { sha256, keccak256, eventDigest };
 export default handler;
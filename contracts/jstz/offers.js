@@ -0,0 +1,562 @@
+/**
+ * Offer Book Smart Function for Jstz
+ * Public order book for Etherlink <-> Jstz atomic swaps
+ *
+ * Makers publish what they give and what they want back (chain pair, amounts,
+ * minimum timelock and the hashlock of their HTLC leg). Takers browse the
+ * book, reserve an offer, then join the swap on the HTLCs as usual.
+ *
+ * SECURITY MODEL:
+ * ===============
+ * 1. IDENTITY: The 'Referer' header is injected by the Jstz runtime and contains
+ *    the caller's address. Only the maker may withdraw an offer; the maker
+ *    cannot reserve their own offer.
+ *
+ * 2. NO CUSTODY:
+ *    - The offer book never holds funds: calls that send tez are rejected
+ *    - Funds only move on the HTLCs (htlc.js on Jstz, HTLC.sol on Etherlink)
+ *
+ * 3. OFFERS ARE ADVERTISEMENTS:
+ *    - Nothing here proves the maker locked anything; anyone can publish any hashlock
+ *    - Takers must still verify the maker's lock on its chain (sender, amount,
+ *      expiration) before locking their own leg
+ *
+ * 4. RESERVATIONS:
+ *    - Accepting an offer reserves it for the caller for RESERVATION_TTL seconds
+ *    - A reservation that lapses puts the offer back in the book without a write
+ *    - The taker whose reservation lapsed must then wait RESERVATION_COOLDOWN
+ *      seconds before reserving that offer again, so one address cannot hold an
+ *      offer indefinitely by re-reserving it each time it lapses
+ *
+ * All amounts are decimal strings in the smallest unit of their chain
+ * (mutez on Jstz, wei or token units on Etherlink).
+ */
+
+// ============================================
+// CONSTANTS & CONFIG
+// ============================================
+
+const MAX_OFFERS_LIST = 100; // Page size limit for /offers
+const RESERVATION_TTL = 15 * 60; // Seconds an accepted offer stays reserved
+const RESERVATION_COOLDOWN = 15 * 60; // Seconds a lapsed taker waits before reserving the same offer again
+const MIN_TIMELOCK = 60; // Shortest minimum timelock a maker may ask for (seconds)
+
+// Strict hashlock validation regex
+const HASHLOCK_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+// Asset: a short ticker symbol or an ERC-20 address (nothing clients could render as markup)
+const ASSET_REGEX = /^([A-Za-z0-9]{1,16}|0x[0-9a-fA-F]{40})$/;
+
+// Status enum
+const OfferStatus = {
+  OPEN: 'OPEN',
+  RESERVED: 'RESERVED',
+  WITHDRAWN: 'WITHDRAWN'
+};
+
+// Chains an offer leg can live on
+const Chain = {
+  ETHERLINK: 'etherlink',
+  JSTZ: 'jstz'
+};
+
+// Hash algorithms a hashlock may be built with (aligned with htlc.js)
+const HashAlgorithm = {
+  SHA256: 'sha256',
+  KECCAK256: 'keccak256'
+};
+
+// ============================================
+// VALIDATION HELPERS
+// ============================================
+
+/**
+ * Validate hashlock format strictly
+ * @param {string} hashlock - Must be 0x + 64 hex chars
+ * @returns {boolean}
+ */
+function isValidHashlock(hashlock) {
+  return typeof hashlock === 'string' && HASHLOCK_REGEX.test(hashlock);
+}
+
+/**
+ * Validate Tezos address format (tz1, tz2, tz3, KT1)
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isValidAddress(address) {
+  if (typeof address !== 'string') return false;
+  return /^(tz[1-3]|KT1)[a-zA-Z0-9]{33}$/.test(address);
+}
+
+/**
+ * Validate an account on a chain (tz/KT1 on Jstz, 0x on Etherlink)
+ * @param {string} chain - Chain value
+ * @param {string} account
+ * @returns {boolean}
+ */
+function isValidAccount(chain, account) {
+  if (chain === Chain.JSTZ) return isValidAddress(account);
+  return typeof account === 'string' && /^0x[0-9a-fA-F]{40}$/.test(account);
+}
+
+/**
+ * Parse a chain name
+ * @param {any} value - 'etherlink' | 'jstz' (case-insensitive)
+ * @param {string} name - Field name for the error message
+ * @returns {string} - A Chain value
+ */
+function parseChain(value, name) {
+  const chain = String(value || '').toLowerCase();
+  if (!Object.values(Chain).includes(chain)) {
+    throw new Error(`Invalid ${name}: ${value} (expected etherlink or jstz)`);
+  }
+  return chain;
+}
+
+/**
+ * Parse a positive amount in the smallest unit (wei can exceed Number.MAX_SAFE_INTEGER)
+ * @param {any} value - Integer or decimal string
+ * @param {string} name - Field name for the error message
+ * @returns {string} - Normalized decimal string
+ */
+function parseUnits(value, name) {
+  const text = typeof value === 'number' && Number.isSafeInteger(value) ? String(value) : value;
+  if (typeof text !== 'string' || !/^\d+$/.test(text) || text.length > 78) {
+    throw new Error(`Invalid ${name}: expected a positive integer in the smallest unit`);
+  }
+  const normalized = text.replace(/^0+(?=\d)/, '');
+  if (normalized === '0') {
+    throw new Error(`Invalid ${name}: must be greater than zero`);
+  }
+  return normalized;
+}
+
+/**
+ * Parse an asset (symbol like 'XTZ' or an ERC-20 address)
+ * @param {any} value
+ * @param {string} name - Field name for the error message
+ * @returns {string}
+ */
+function parseAsset(value, name) {
+  if (value === undefined || value === null || value === '') return 'XTZ';
+  if (typeof value !== 'string' || !ASSET_REGEX.test(value)) {
+    throw new Error(`Invalid ${name}: expected a ticker symbol (up to 16 letters/digits) or a token address`);
+  }
+  return value;
+}
+
+/**
+ * Parse the hash algorithm of the maker's hashlock
+ * @param {string|undefined} value - 'sha256' | 'keccak256' (case-insensitive)
+ * @returns {string} - A HashAlgorithm value, SHA-256 when omitted
+ */
+function parseHashAlgorithm(value) {
+  if (value === undefined || value === null || value === '') {
+    return HashAlgorithm.SHA256;
+  }
+  const algorithm = String(value).toLowerCase();
+  if (!Object.values(HashAlgorithm).includes(algorithm)) {
+    throw new Error(`Invalid hashAlgorithm: ${value} (expected sha256 or keccak256)`);
+  }
+  return algorithm;
+}
+
+/**
+ * Parse an offer id (its sequence number)
+ * @param {any} value
+ * @returns {number}
+ */
+function parseOfferId(value) {
+  const offerId = typeof value === 'string' && value !== '' ? Number(value) : value;
+  if (!Number.isInteger(offerId) || offerId < 0) {
+    throw new Error('Invalid offerId: must be a non-negative integer');
+  }
+  return offerId;
+}
+
+/**
+ * Parse a status filter ("OPEN" or "OPEN,RESERVED")
+ * @param {any} value - Filter from query string or body
+ * @returns {string[]|null} - Statuses to include, or null for all
+ */
+function parseStatusFilter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const statuses = list.map(s => String(s).trim().toUpperCase()).filter(Boolean);
+  for (const status of statuses) {
+    if (!OfferStatus[status]) {
+      throw new Error(`Invalid status filter: ${status} (expected OPEN, RESERVED or WITHDRAWN)`);
+    }
+  }
+  return statuses.length > 0 ? statuses : null;
+}
+
+/**
+ * Parse a page size, clamped to 1..MAX_OFFERS_LIST
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return MAX_OFFERS_LIST;
+  return Math.min(limit, MAX_OFFERS_LIST);
+}
+
+// ============================================
+// TIME & STORAGE HELPERS
+// ============================================
+
+/**
+ * Get current timestamp in seconds
+ */
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/*
+ * KV LAYOUT
+ * ---------
+ * offer/<offerId>  - Offer record (JSON, includes its `offerId`)
+ * offers/count     - Number of offers ever posted (next offerId)
+ */
+
+/**
+ * Number of offers ever posted (also the next offer id)
+ */
+function getOfferCount() {
+  const count = Kv.get('offers/count');
+  return count ? parseInt(count, 10) : 0;
+}
+
+/**
+ * Get offer from Kv storage
+ */
+function getOfferFromKv(offerId) {
+  const data = Kv.get(`offer/${offerId}`);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Save offer to Kv storage
+ */
+function saveOfferToKv(offer) {
+  Kv.set(`offer/${offer.offerId}`, JSON.stringify(offer));
+}
+
+/**
+ * Status an offer is in right now: a lapsed reservation is OPEN again
+ */
+function currentStatus(offer) {
+  if (offer.status === OfferStatus.RESERVED && now() >= offer.reservedUntil) {
+    return OfferStatus.OPEN;
+  }
+  return offer.status;
+}
+
+/**
+ * Copy of an offer as clients see it (lapsed reservations cleared)
+ */
+function toPublicOffer(offer) {
+  const status = currentStatus(offer);
+  if (status === offer.status) {
+    return { ...offer };
+  }
+  return { ...offer, status, taker: null, takerAccount: null, reservedAt: null, reservedUntil: null };
+}
+
+// ============================================
+// OFFER BOOK
+// ============================================
+
+/**
+ * POST - Publish a new offer
+ * @param {object} params - Offer terms
+ * @param {string} params.makerChain - Where the maker locks ('etherlink' | 'jstz')
+ * @param {string} params.giveAmount - What the maker locks, smallest unit of makerChain
+ * @param {string} params.giveAsset - Asset the maker locks ('XTZ' or an ERC-20 address)
+ * @param {string} params.receiveAmount - What the maker wants on the other chain, smallest unit
+ * @param {string} params.receiveAsset - Asset the maker wants back
+ * @param {number} params.minTimelock - Shortest timelock (seconds) the maker accepts on the taker's lock
+ * @param {string} params.hashlock - Hashlock of the maker's HTLC leg
+ * @param {string} params.hashAlgorithm - 'sha256' (default) or 'keccak256'
+ * @param {string} params.makerAccount - Optional: maker's receiving address on the taker's chain
+ * @param {string} maker - Caller address (from Referer)
+ */
+function postOffer(params, maker) {
+  const { giveAmount, giveAsset, receiveAmount, receiveAsset, minTimelock, hashlock, hashAlgorithm, makerAccount } = params;
+
+  if (!isValidAddress(maker)) {
+    throw new Error('Invalid maker address (Referer header missing or malformed)');
+  }
+  const makerChain = parseChain(params.makerChain, 'makerChain');
+  const takerChain = makerChain === Chain.JSTZ ? Chain.ETHERLINK : Chain.JSTZ;
+
+  if (!isValidHashlock(hashlock)) {
+    throw new Error('Invalid hashlock format: must be 0x + 64 hex characters');
+  }
+  const timelock = typeof minTimelock === 'string' ? Number(minTimelock) : minTimelock;
+  if (!Number.isInteger(timelock) || timelock < MIN_TIMELOCK) {
+    throw new Error(`Invalid minTimelock: must be an integer of at least ${MIN_TIMELOCK} seconds`);
+  }
+  if (makerAccount && !isValidAccount(takerChain, makerAccount)) {
+    throw new Error(`Invalid makerAccount: expected an address on ${takerChain}`);
+  }
+
+  const offerId = getOfferCount();
+  const offer = {
+    offerId,
+    maker,
+    makerChain,
+    takerChain,
+    giveAmount: parseUnits(giveAmount, 'giveAmount'),
+    giveAsset: parseAsset(giveAsset, 'giveAsset'),
+    receiveAmount: parseUnits(receiveAmount, 'receiveAmount'),
+    receiveAsset: parseAsset(receiveAsset, 'receiveAsset'),
+    minTimelock: timelock,
+    hashlock: hashlock.toLowerCase(),
+    hashAlgorithm: parseHashAlgorithm(hashAlgorithm),
+    makerAccount: makerAccount || null,
+    status: OfferStatus.OPEN,
+    taker: null,
+    takerAccount: null,
+    reservedAt: null,
+    reservedUntil: null,
+    createdAt: now()
+  };
+
+  saveOfferToKv(offer);
+  Kv.set('offers/count', String(offerId + 1));
+
+  console.log(`[OFFERS] Offer ${offerId} posted by ${maker}`);
+  return { success: true, event: 'OfferPosted', data: offer };
+}
+
+/**
+ * ACCEPT - Reserve an open offer for the caller
+ * @param {any} offerId - Offer to reserve
+ * @param {string} takerAccount - Optional: taker's receiving address on the maker's chain
+ * @param {string} taker - Caller address (from Referer)
+ */
+function acceptOffer(offerId, takerAccount, taker) {
+  const id = parseOfferId(offerId);
+  if (!isValidAddress(taker)) {
+    throw new Error('Invalid taker address (Referer header missing or malformed)');
+  }
+
+  const offer = getOfferFromKv(id);
+  if (!offer) {
+    throw new Error('Offer not found');
+  }
+  if (offer.maker === taker) {
+    throw new Error('Makers cannot accept their own offer');
+  }
+  const status = currentStatus(offer);
+  if (status !== OfferStatus.OPEN) {
+    throw new Error(`Offer is ${status}, only OPEN offers can be accepted`);
+  }
+  if (takerAccount && !isValidAccount(offer.makerChain, takerAccount)) {
+    throw new Error(`Invalid takerAccount: expected an address on ${offer.makerChain}`);
+  }
+  // The offer is OPEN, so a recorded taker is one whose reservation lapsed
+  if (offer.taker === taker && now() < offer.reservedUntil + RESERVATION_COOLDOWN) {
+    throw new Error(`Your reservation of this offer lapsed: you can reserve it again after ${offer.reservedUntil + RESERVATION_COOLDOWN}`);
+  }
+
+  offer.status = OfferStatus.RESERVED;
+  offer.taker = taker;
+  offer.takerAccount = takerAccount || null;
+  offer.reservedAt = now();
+  offer.reservedUntil = offer.reservedAt + RESERVATION_TTL;
+  saveOfferToKv(offer);
+
+  console.log(`[OFFERS] Offer ${id} reserved by ${taker} until ${offer.reservedUntil}`);
+  return { success: true, event: 'OfferAccepted', data: offer };
+}
+
+/**
+ * WITHDRAW - Take an offer off the book (maker only)
+ * @param {any} offerId - Offer to withdraw
+ * @param {string} caller - Caller address (from Referer)
+ */
+function withdrawOffer(offerId, caller) {
+  const id = parseOfferId(offerId);
+  const offer = getOfferFromKv(id);
+  if (!offer) {
+    throw new Error('Offer not found');
+  }
+  if (offer.maker !== caller) {
+    throw new Error('Only the maker can withdraw this offer');
+  }
+  if (offer.status === OfferStatus.WITHDRAWN) {
+    throw new Error('Offer is already WITHDRAWN');
+  }
+
+  offer.status = OfferStatus.WITHDRAWN;
+  offer.withdrawnAt = now();
+  saveOfferToKv(offer);
+
+  console.log(`[OFFERS] Offer ${id} withdrawn`);
+  return { success: true, event: 'OfferWithdrawn', data: offer };
+}
+
+/**
+ * LIST OFFERS - Walk the offers newest first (cursor-paginated)
+ *
+ * Like htlc.js /swaps, a page reads at most `limit` offers, so a filter may
+ * return fewer than `limit` while `nextCursor` is still set.
+ *
+ * @param {string[]|null} statuses - Statuses to include (null = all), after lapsed reservations reopen
+ * @param {string|null} maker - Only offers from this maker
+ * @param {number|null} cursor - Offer id to start from (null = newest)
+ * @param {number} limit - Max offers to read
+ * @returns {{offers: object[], nextCursor: number|null, total: number}}
+ */
+function listOffers(statuses = null, maker = null, cursor = null, limit = MAX_OFFERS_LIST) {
+  const total = getOfferCount();
+  const start = cursor === null ? total - 1 : Math.min(cursor, total - 1);
+  const end = Math.max(start - limit + 1, 0);
+  const offers = [];
+
+  for (let id = start; id >= end; id--) {
+    const offer = getOfferFromKv(id);
+    if (!offer) continue;
+    const publicOffer = toPublicOffer(offer);
+    if ((!statuses || statuses.includes(publicOffer.status)) && (!maker || offer.maker === maker)) {
+      offers.push(publicOffer);
+    }
+  }
+
+  return {
+    offers,
+    nextCursor: end > 0 && start >= 0 ? end - 1 : null,
+    total
+  };
+}
+
+// ============================================
+// REQUEST HANDLER
+// ============================================
+
+const handler = async (request) => {
+  const url = new URL(request.url);
+  const path = url.pathname;
+  const method = request.method;
+
+  // Get caller identity from Referer header (set by Jstz runtime)
+  const caller = request.headers.get('Referer') || 'anonymous';
+  const receivedAmount = parseInt(request.headers.get('X-JSTZ-AMOUNT') || '0', 10) || 0;
+
+  console.log(`[OFFERS] ${method} ${path} from ${caller}`);
+
+  try {
+    // Parse body for POST requests
+    let body = {};
+    if (method === 'POST') {
+      try {
+        const text = await request.text();
+        if (text && text.trim()) {
+          body = JSON.parse(text);
+        }
+      } catch (e) {
+        console.log('[OFFERS] No JSON body or parse error');
+      }
+    }
+
+    // SECURITY: the offer book has no way to give tez back
+    if (receivedAmount > 0) {
+      throw new Error('The offer book holds no funds: do not send tez (lock them on the HTLC)');
+    }
+
+    // === ROUTING ===
+
+    // Health check
+    if (path === '/' || path === '/health') {
+      return new Response(JSON.stringify({
+        status: 'ok',
+        contract: 'OfferBook',
+        version: '1.0.0',
+        timestamp: now(),
+        reservationTtl: RESERVATION_TTL,
+        reservationCooldown: RESERVATION_COOLDOWN
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // POST OFFER
+    if (path === '/offers/post' && method === 'POST') {
+      const result = postOffer(body, caller);
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // ACCEPT (reserve)
+    if (path === '/offers/accept' && method === 'POST') {
+      const { offerId, takerAccount } = body;
+      const result = acceptOffer(offerId, takerAccount, caller);
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // WITHDRAW
+    if (path === '/offers/withdraw' && method === 'POST') {
+      const { offerId } = body;
+      const result = withdrawOffer(offerId, caller);
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // GET OFFER (GET or POST for Jstz CLI compatibility)
+    const byId = path.match(/^\/offers\/(\d+)$/);
+    if (byId && (method === 'GET' || method === 'POST')) {
+      const offer = getOfferFromKv(parseOfferId(byId[1]));
+      const result = offer ? { found: true, offer: toPublicOffer(offer) } : { found: false, error: 'Offer not found' };
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // LIST OFFERS (GET or POST for Jstz CLI compatibility) - OPEN ones unless ?status= says otherwise
+    if (path === '/offers' && (method === 'GET' || method === 'POST')) {
+      const statuses = parseStatusFilter(url.searchParams.get('status') || body?.status) || [OfferStatus.OPEN];
+      const maker = url.searchParams.get('maker') || body?.maker || null;
+      const cursorValue = url.searchParams.get('cursor') ?? body?.cursor;
+      const cursor = cursorValue === undefined || cursorValue === null || cursorValue === '' ? null : parseOfferId(cursorValue);
+      const limit = parseLimit(url.searchParams.get('limit') || body?.limit);
+      const page = listOffers(statuses, maker, cursor, limit);
+      return new Response(JSON.stringify(page), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // 404
+    return new Response(JSON.stringify({
+      error: 'Not found',
+      availableEndpoints: [
+        'GET  /                 - Health check',
+        'POST /offers/post      - Publish an offer ({ makerChain, giveAmount, giveAsset, receiveAmount, receiveAsset, minTimelock, hashlock, hashAlgorithm?, makerAccount? })',
+        'POST /offers/accept    - Reserve an open offer ({ offerId, takerAccount? }); a lapsed taker waits out a cooldown',
+        'POST /offers/withdraw  - Maker takes an offer off the book ({ offerId })',
+        'ANY  /offers/:id       - Get one offer',
+        'ANY  /offers           - List offers, newest first (optional: ?status=OPEN,RESERVED&maker=tz1...&limit=50&cursor=<nextCursor>)'
+      ]
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.log('[OFFERS] Error:', error.message);
+    return new Response(JSON.stringify({
+      success: false,
+      error: error.message
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+};
+
+export default handler;
@@ -7,6 +7,9 @@
  * before deploying to Jstz network.
  */
 
+import { createHash } from 'crypto';
+import handler, { sha256, eventDigest } from '../htlc.js';
+
 // Mock Kv storage
 const kvStore = new Map();
 const Kv = {
@@ -21,9 +24,34 @@ const Ledger = {
   balance: (address) => 10000000 // 10 XTZ in mutez
 };
 
+// Mock outgoing transfers (the contract pays third parties via fetch to jstz://<address>/)
+// and notifications (POSTs to jstz://<notify>/swap-event)
+const transfers = [];
+let refuseTransfers = false;
+const notifications = [];
+let notifyFailure = null; // null | 'status' | 'throw'
+const fetchMock = async (request) => {
+  const url = new URL(request.url);
+  const to = url.host;
+  if (url.pathname === '/swap-event') {
+    if (notifyFailure === 'throw') {
+      throw new Error('receiver ran out of gas');
+    }
+    const body = await request.text();
+    notifications.push({ to, event: request.headers.get('X-HTLC-Event'), digest: request.headers.get('X-HTLC-Digest'), body, payload: JSON.parse(body) });
+    return new Response(null, { status: notifyFailure === 'status' ? 500 : 200 });
+  }
+  if (refuseTransfers) {
+    return new Response('refused', { status: 500 });
+  }
+  transfers.push({ to, amountMutez: Number(request.headers.get('X-JSTZ-TRANSFER')) });
+  return new Response(null, { status: 200 });
+};
+
 // Make globals available
 global.Kv = Kv;
 global.Ledger = Ledger;
+global.fetch = fetchMock;
 
 // Test utilities
 let testsPassed = 0;
@@ -43,6 +71,10 @@ function assertEqual(actual, expected, message) {
 
 async function runTest(name, testFn) {
   Kv.clear(); // Reset storage between tests
+  transfers.length = 0;
+  refuseTransfers = false;
+  notifications.length = 0;
+  notifyFailure = null;
   try {
     await testFn();
     console.log(`✅ ${name}`);
@@ -55,273 +87,69 @@ async function runTest(name, testFn) {
 }
 
 // ============================================
-// Import contract functions (inline for testing)
+// Test helpers
 // ============================================
 
-const ONE_TEZ = 1000000;
-
 const SwapStatus = {
   OPEN: 'OPEN',
   CLAIMED: 'CLAIMED',
   REFUNDED: 'REFUNDED'
 };
 
-// Mockable time for testing
-let mockTime = null;
-
 function now() {
-  if (mockTime !== null) {
-    return mockTime;
-  }
   return Math.floor(Date.now() / 1000);
 }
 
-function setMockTime(time) {
-  mockTime = time;
-}
-
-function resetMockTime() {
-  mockTime = null;
-}
-
-function getSwapFromKv(hashlock) {
-  const key = hashlock.startsWith('0x') ? hashlock.slice(2) : hashlock;
-  const data = Kv.get(key);
-  return data ? JSON.parse(data) : null;
-}
-
-function saveSwapToKv(hashlock, swap) {
-  const key = hashlock.startsWith('0x') ? hashlock.slice(2) : hashlock;
-  Kv.set(key, JSON.stringify(swap));
-}
-
-function getAllSwapKeys() {
-  const keys = Kv.get('swap_keys');
-  return keys ? JSON.parse(keys) : [];
-}
-
-function addSwapKey(hashlock) {
-  const keys = getAllSwapKeys();
-  if (!keys.includes(hashlock)) {
-    keys.push(hashlock);
-    Kv.set('swap_keys', JSON.stringify(keys));
-  }
-}
-
-function xtzToMutez(xtz) {
-  return Math.floor(parseFloat(xtz) * ONE_TEZ);
-}
-
 function mutezToXtz(mutez) {
-  return mutez / ONE_TEZ;
+  return mutez / 1000000;
 }
 
-// Pure JavaScript SHA-256
-function sha256(message) {
-  let bytes;
-  if (typeof message === 'string' && message.startsWith('0x')) {
-    const hex = message.slice(2);
-    bytes = [];
-    for (let i = 0; i < hex.length; i += 2) {
-      bytes.push(parseInt(hex.substr(i, 2), 16));
-    }
-  } else if (typeof message === 'string') {
-    bytes = [];
-    for (let i = 0; i < message.length; i++) {
-      const code = message.charCodeAt(i);
-      if (code < 128) bytes.push(code);
-    }
-  } else {
-    bytes = Array.from(message);
-  }
-
-  const K = [
-    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
-    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
-    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
-    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
-    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
-    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
-    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
-    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
-  ];
-
-  let H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
-
-  const rotr = (n, x) => (x >>> n) | (x << (32 - n));
-  const ch = (x, y, z) => (x & y) ^ (~x & z);
-  const maj = (x, y, z) => (x & y) ^ (x & z) ^ (y & z);
-  const sigma0 = x => rotr(2, x) ^ rotr(13, x) ^ rotr(22, x);
-  const sigma1 = x => rotr(6, x) ^ rotr(11, x) ^ rotr(25, x);
-  const gamma0 = x => rotr(7, x) ^ rotr(18, x) ^ (x >>> 3);
-  const gamma1 = x => rotr(17, x) ^ rotr(19, x) ^ (x >>> 10);
-
-  const originalLen = bytes.length;
-  const bitLen = originalLen * 8;
-  bytes.push(0x80);
-  while ((bytes.length % 64) !== 56) bytes.push(0);
-  bytes.push(0, 0, 0, 0);
-  bytes.push((bitLen >>> 24) & 0xff);
-  bytes.push((bitLen >>> 16) & 0xff);
-  bytes.push((bitLen >>> 8) & 0xff);
-  bytes.push(bitLen & 0xff);
-
-  for (let i = 0; i < bytes.length; i += 64) {
-    const W = new Array(64);
-    for (let t = 0; t < 16; t++) {
-      W[t] = ((bytes[i + t * 4] << 24) | (bytes[i + t * 4 + 1] << 16) | 
-             (bytes[i + t * 4 + 2] << 8) | bytes[i + t * 4 + 3]) >>> 0;
-    }
-    for (let t = 16; t < 64; t++) {
-      W[t] = (gamma1(W[t - 2]) + W[t - 7] + gamma0(W[t - 15]) + W[t - 16]) >>> 0;
-    }
-
-    let [a, b, c, d, e, f, g, h] = H;
-    for (let t = 0; t < 64; t++) {
-      const T1 = (h + sigma1(e) + ch(e, f, g) + K[t] + W[t]) >>> 0;
-      const T2 = (sigma0(a) + maj(a, b, c)) >>> 0;
-      h = g; g = f; f = e;
-      e = (d + T1) >>> 0;
-      d = c; c = b; b = a;
-      a = (T1 + T2) >>> 0;
-    }
-
-    H[0] = (H[0] + a) >>> 0;
-    H[1] = (H[1] + b) >>> 0;
-    H[2] = (H[2] + c) >>> 0;
-    H[3] = (H[3] + d) >>> 0;
-    H[4] = (H[4] + e) >>> 0;
-    H[5] = (H[5] + f) >>> 0;
-    H[6] = (H[6] + g) >>> 0;
-    H[7] = (H[7] + h) >>> 0;
-  }
-
-  return '0x' + H.map(h => h.toString(16).padStart(8, '0')).join('');
-}
+// ============================================
+// Smart function handler (real htlc.js routes)
+// ============================================
 
-async function hashSecret(secret) {
-  return sha256(secret);
-}
+// Valid Tezos addresses (sandbox bootstrap accounts)
+const TZ_ALICE = 'tz1KqTpEZ7Yob7QbPE4Hy4Wo8fHG8LhKxZSx';
+const TZ_BOB = 'tz1gjaF81ZRRvdzjobyfVNsAeSC6PScjfQwN';
+const TZ_CAROL = 'tz1faswCTDciRzE4oJ9jn2Vm2dvjeyA9fUzU';
 
-// Contract functions
-async function initiate(hashlock, recipient, expiration, amountMutez, sender) {
-  if (!hashlock || hashlock.length !== 66) {
-    throw new Error('Invalid hashlock: must be 0x + 64 hex chars');
-  }
-  
-  if (!amountMutez || amountMutez <= 0) {
-    throw new Error('No tez received. Send tez with X-JSTZ-TRANSFER header');
-  }
-  
-  if (expiration <= now()) {
-    throw new Error('Expiration must be in the future');
-  }
-  
-  const existing = getSwapFromKv(hashlock);
-  if (existing) {
-    throw new Error('Swap with this hashlock already exists');
+/**
+ * Call the deployed handler the way the Jstz runtime does
+ * @returns {Promise<{status: number, headers: Headers, body: any}>}
+ */
+async function callHandler(path, { method = 'POST', body = null, caller = null, amount = 0 } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (caller) headers['Referer'] = caller;
+  if (amount) headers['X-JSTZ-AMOUNT'] = String(amount);
+  // Keep the contract's [HTLC] logging out of the test report
+  const consoleLog = console.log;
+  console.log = () => {};
+  let response;
+  try {
+    response = await handler(new Request(`jstz://htlc${path}`, {
+      method,
+      headers,
+      body: method === 'POST' ? JSON.stringify(body || {}) : undefined
+    }));
+  } finally {
+    console.log = consoleLog;
   }
-  
-  const swap = {
-    hashlock,
-    sender,
-    recipient: recipient || null,
-    amountMutez: amountMutez,
-    amountXtz: mutezToXtz(amountMutez),
-    expiration,
-    status: SwapStatus.OPEN,
-    createdAt: now()
-  };
-  
-  saveSwapToKv(hashlock, swap);
-  addSwapKey(hashlock);
-  
   return {
-    success: true,
-    event: 'SwapInitiated',
-    data: swap
+    status: response.status,
+    headers: response.headers,
+    body: await response.json()
   };
 }
 
-async function claim(hashlock, secret, claimer) {
-  const swap = getSwapFromKv(hashlock);
-  
-  if (!swap) {
-    throw new Error('Swap not found');
-  }
-  
-  if (swap.status !== SwapStatus.OPEN) {
-    throw new Error('Swap already claimed or refunded');
-  }
-  
-  if (now() >= swap.expiration) {
-    throw new Error('Swap has expired');
-  }
-  
-  const computedHash = await hashSecret(secret);
-  if (computedHash.toLowerCase() !== hashlock.toLowerCase()) {
-    throw new Error('Invalid secret: hash does not match hashlock');
-  }
-  
-  if (swap.recipient && swap.recipient !== claimer) {
-    throw new Error('Only the designated recipient can claim this swap');
-  }
-  
-  swap.status = SwapStatus.CLAIMED;
-  swap.claimedBy = claimer;
-  swap.claimedAt = now();
-  swap.revealedSecret = secret;
-  
-  saveSwapToKv(hashlock, swap);
-  
-  return {
-    success: true,
-    event: 'SwapClaimed',
-    transferAmount: swap.amountMutez,
-    data: {
-      hashlock,
-      secret,
-      claimedBy: claimer,
-      amountMutez: swap.amountMutez
-    }
-  };
+// Handler reads Date.now(), so time travel patches it
+const realDateNow = Date.now;
+
+function travelTo(timestampSeconds) {
+  Date.now = () => timestampSeconds * 1000;
 }
 
-async function refund(hashlock, refunder) {
-  const swap = getSwapFromKv(hashlock);
-  
-  if (!swap) {
-    throw new Error('Swap not found');
-  }
-  
-  if (swap.status !== SwapStatus.OPEN) {
-    throw new Error('Swap already claimed or refunded');
-  }
-  
-  // Check expiration - swap must be expired
-  if (now() < swap.expiration) {
-    throw new Error('Swap not yet expired');
-  }
-  
-  if (swap.sender !== refunder) {
-    throw new Error('Only sender can refund');
-  }
-  
-  swap.status = SwapStatus.REFUNDED;
-  swap.refundedAt = now();
-  
-  saveSwapToKv(hashlock, swap);
-  
-  return {
-    success: true,
-    event: 'SwapRefunded',
-    transferAmount: swap.amountMutez,
-    data: {
-      hashlock,
-      refundedTo: swap.sender,
-      amountMutez: swap.amountMutez
-    }
-  };
+function travelBack() {
+  Date.now = realDateNow;
 }
 
 // ============================================
@@ -335,8 +163,6 @@ async function runAllTests() {
   // Test data
   const secret = '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
   const hashlock = sha256(secret);
-  const alice = 'tz1Alice123456789';
-  const bob = 'tz1Bob123456789';
   const expiration = now() + 3600; // 1 hour from now
   const amountMutez = 5000000; // 5 XTZ
 
@@ -368,204 +194,268 @@ async function runAllTests() {
     assert(hash1 !== hash2, 'Different inputs should produce different hashes');
   });
 
+  // ========== SHA-256 CONFORMANCE TESTS ==========
+  console.log('\n🧮 SHA-256 Conformance Tests (htlc.js vs Node crypto)');
+  console.log('-'.repeat(50));
+
+  const nodeSha256 = (data) => '0x' + createHash('sha256').update(data).digest('hex');
+
+  await runTest('SHA-256 matches NIST FIPS 180-2 vectors', async () => {
+    assertEqual(sha256(''),
+      '0xe3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', 'empty string');
+    assertEqual(sha256('abc'),
+      '0xba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', '"abc"');
+    assertEqual(sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'),
+      '0x248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1', '448-bit message');
+    assertEqual(sha256('abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu'),
+      '0xcf5b16a778af8380036ce59e7b0492370b249b11e8f07a51afac45037afee9d1', '896-bit message');
+    assertEqual(sha256('a'.repeat(1000000)),
+      '0xcdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0', 'one million "a"');
+  });
+
+  await runTest('SHA-256 matches Node crypto for random bytes around block boundaries', async () => {
+    const lengths = [0, 1, 31, 32, 33, 54, 55, 56, 57, 63, 64, 65, 119, 120, 127, 128, 129, 1000];
+    for (let i = 0; i < 40; i++) lengths.push(Math.floor(Math.random() * 512));
+    for (const len of lengths) {
+      const bytes = Array.from({ length: len }, () => Math.floor(Math.random() * 256));
+      const expected = nodeSha256(Buffer.from(bytes));
+      assertEqual(sha256(bytes), expected, `byte array of length ${len}`);
+      assertEqual(sha256('0x' + Buffer.from(bytes).toString('hex')), expected, `hex of length ${len}`);
+    }
+  });
+
+  await runTest('SHA-256 matches Node crypto for random UTF-8 strings', async () => {
+    // BMP, 3-byte, astral (surrogate pair) and lone surrogate code units
+    const pieces = ['a', 'Z', '~', 'é', 'ß', 'ꜩ', '€', '中', '\uffff', '😀', '𝄞', '\ud800', '\udfff'];
+    for (let i = 0; i < 60; i++) {
+      const len = Math.floor(Math.random() * 100);
+      let str = '';
+      for (let j = 0; j < len; j++) str += pieces[Math.floor(Math.random() * pieces.length)];
+      assertEqual(sha256(str), nodeSha256(Buffer.from(str, 'utf8')), `string ${JSON.stringify(str)}`);
+    }
+  });
+
+  await runTest('SHA-256 rejects malformed hex input', async () => {
+    for (const bad of ['0x1', '0xabc', '0xzz', '0x12 34', '0x' + 'g'.repeat(64)]) {
+      let threw = false;
+      try { sha256(bad); } catch (e) { threw = /Invalid hex/.test(e.message); }
+      assert(threw, `${bad} should be rejected`);
+    }
+    assertEqual(sha256('0x'), nodeSha256(Buffer.alloc(0)), '0x is the empty byte string');
+    assertEqual(sha256('0xABCDEF'), sha256('0xabcdef'), 'hex is case-insensitive');
+  });
+
   // ========== INITIATE TESTS ==========
-  console.log('\n🔐 Initiate Tests');
+  console.log('\n🔐 Initiate Tests (handler)');
   console.log('-'.repeat(50));
 
   await runTest('Can initiate swap with valid parameters', async () => {
-    const result = await initiate(hashlock, bob, expiration, amountMutez, alice);
-    assert(result.success, 'Initiate should succeed');
-    assertEqual(result.event, 'SwapInitiated', 'Event should be SwapInitiated');
-    assertEqual(result.data.status, 'OPEN', 'Status should be OPEN');
-    assertEqual(result.data.amountMutez, amountMutez, 'Amount should match');
+    const res = await callHandler('/initiate', {
+      body: { hashlock, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.status, 200, 'Initiate should succeed');
+    assertEqual(res.body.event, 'SwapInitiated', 'Event should be SwapInitiated');
+    assertEqual(res.body.data.status, 'OPEN', 'Status should be OPEN');
+    assertEqual(res.body.data.amountMutez, amountMutez, 'Amount should match');
   });
 
   await runTest('Cannot initiate with invalid hashlock', async () => {
-    try {
-      await initiate('invalid', bob, expiration, amountMutez, alice);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('Invalid hashlock'), 'Should reject invalid hashlock');
-    }
+    const res = await callHandler('/initiate', {
+      body: { hashlock: 'invalid', recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.status, 400, 'Invalid hashlock should be rejected');
+    assert(res.body.error.includes('Invalid hashlock'), 'Error should name the hashlock');
   });
 
   await runTest('Cannot initiate with zero amount', async () => {
-    const newHashlock = sha256('0x' + '1'.repeat(64));
-    try {
-      await initiate(newHashlock, bob, expiration, 0, alice);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('No tez'), 'Should reject zero amount');
-    }
+    const res = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + '1'.repeat(64)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE
+    });
+    assertEqual(res.status, 400, 'Zero amount should be rejected');
+    assert(res.body.error.includes('Insufficient amount'), 'Error should name the amount');
   });
 
   await runTest('Cannot initiate with past expiration', async () => {
-    const newHashlock = sha256('0x' + '2'.repeat(64));
-    try {
-      await initiate(newHashlock, bob, now() - 100, amountMutez, alice);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('future'), 'Should reject past expiration');
-    }
+    const res = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + '2'.repeat(64)), recipient: TZ_BOB, expiration: now() - 100 },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.status, 400, 'Past expiration should be rejected');
+    assert(res.body.error.includes('future'), 'Error should require a future expiration');
   });
 
-  await runTest('Cannot initiate duplicate swap', async () => {
-    const newHashlock = sha256('0x' + '3'.repeat(64));
-    await initiate(newHashlock, bob, expiration, amountMutez, alice);
-    try {
-      await initiate(newHashlock, bob, expiration, amountMutez, alice);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('already exists'), 'Should reject duplicate');
-    }
+  await runTest('Two swaps under one hashlock get different ids', async () => {
+    const testHash = sha256('0x' + '3'.repeat(64));
+    const first = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const second = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(second.status, 200, 'Reusing a hashlock is allowed');
+    assert(first.body.data.swapId !== second.body.data.swapId, 'Swaps should get distinct ids');
   });
 
   // ========== CLAIM TESTS ==========
-  console.log('\n💰 Claim Tests');
+  console.log('\n💰 Claim Tests (handler)');
   console.log('-'.repeat(50));
 
   await runTest('Can claim with correct secret', async () => {
     const testSecret = '0x' + '4'.repeat(64);
-    const testHash = sha256(testSecret);
-    await initiate(testHash, bob, expiration, amountMutez, alice);
-    
-    const result = await claim(testHash, testSecret, bob);
-    assert(result.success, 'Claim should succeed');
-    assertEqual(result.event, 'SwapClaimed', 'Event should be SwapClaimed');
-    assertEqual(result.transferAmount, amountMutez, 'Transfer amount should match');
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_BOB });
+    assertEqual(res.status, 200, 'Claim should succeed');
+    assertEqual(res.body.event, 'SwapClaimed', 'Event should be SwapClaimed');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Transfer amount should match');
   });
 
   await runTest('Cannot claim with wrong secret', async () => {
     const testSecret = '0x' + '5'.repeat(64);
-    const testHash = sha256(testSecret);
-    await initiate(testHash, bob, expiration, amountMutez, alice);
-    
-    try {
-      await claim(testHash, '0x' + '6'.repeat(64), bob);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('Invalid secret'), 'Should reject wrong secret');
-    }
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: '0x' + '6'.repeat(64) }, caller: TZ_BOB });
+    assertEqual(res.status, 400, 'Wrong secret should be rejected');
+    assert(res.body.error.includes('Invalid secret'), 'Error should name the secret');
   });
 
-  await runTest('Cannot claim if not recipient', async () => {
+  await runTest('Claim by a non-recipient pays the recipient', async () => {
     const testSecret = '0x' + '7'.repeat(64);
-    const testHash = sha256(testSecret);
-    await initiate(testHash, bob, expiration, amountMutez, alice);
-    
-    try {
-      await claim(testHash, testSecret, 'tz1Unauthorized');
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('recipient'), 'Should reject unauthorized claimer');
-    }
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_CAROL });
+    assertEqual(res.status, 200, 'Anyone with the secret can claim');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing is sent to the caller');
+    assertEqual(transfers.length, 1, 'One payout to the recipient');
+    assertEqual(transfers[0].to, TZ_BOB, 'Payout goes to the recipient');
+    assertEqual(transfers[0].amountMutez, amountMutez, 'Recipient gets the full amount');
   });
 
   await runTest('Cannot claim non-existent swap', async () => {
-    try {
-      await claim('0x' + '8'.repeat(64), '0x' + '8'.repeat(64), bob);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('not found'), 'Should reject non-existent swap');
-    }
+    const res = await callHandler('/claim', { body: { swapId: '0x' + '8'.repeat(64), secret: '0x' + '8'.repeat(64) }, caller: TZ_BOB });
+    assertEqual(res.status, 400, 'Unknown swap should be rejected');
+    assert(res.body.error.includes('not found'), 'Error should say not found');
   });
 
   await runTest('Cannot claim already claimed swap', async () => {
     const testSecret = '0x' + '9'.repeat(64);
-    const testHash = sha256(testSecret);
-    await initiate(testHash, bob, expiration, amountMutez, alice);
-    await claim(testHash, testSecret, bob);
-    
-    try {
-      await claim(testHash, testSecret, bob);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('already claimed'), 'Should reject double claim');
-    }
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_BOB });
+
+    const res = await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_BOB });
+    assertEqual(res.status, 400, 'Double claim should be rejected');
+    assert(res.body.error.includes('CLAIMED'), 'Error should give the swap status');
   });
 
   await runTest('Anyone can claim if no recipient specified', async () => {
     const testSecret = '0x' + 'a'.repeat(64);
-    const testHash = sha256(testSecret);
-    await initiate(testHash, null, expiration, amountMutez, alice); // No recipient
-    
-    const result = await claim(testHash, testSecret, 'tz1Anyone');
-    assert(result.success, 'Anyone should be able to claim');
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_CAROL });
+    assertEqual(res.status, 200, 'Anyone should be able to claim');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Claimer is the payee');
   });
 
   // ========== REFUND TESTS ==========
-  console.log('\n🔄 Refund Tests');
+  console.log('\n🔄 Refund Tests (handler)');
   console.log('-'.repeat(50));
 
   await runTest('Sender can refund after expiration', async () => {
-    const testSecret = '0x' + 'b'.repeat(64);
-    const testHash = sha256(testSecret);
-    
-    // Create swap with future expiration
     const expirationTime = now() + 100;
-    await initiate(testHash, bob, expirationTime, amountMutez, alice);
-    
-    // Simulate time passing (past expiration)
-    setMockTime(expirationTime + 100);
-    
-    const result = await refund(testHash, alice);
-    assert(result.success, 'Refund should succeed');
-    assertEqual(result.event, 'SwapRefunded', 'Event should be SwapRefunded');
-    assertEqual(result.transferAmount, amountMutez, 'Transfer amount should match');
-    
-    resetMockTime();
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'b'.repeat(64)), recipient: TZ_BOB, expiration: expirationTime },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    travelTo(expirationTime + 100);
+    let res;
+    try {
+      res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_ALICE });
+    } finally {
+      travelBack();
+    }
+    assertEqual(res.status, 200, 'Refund should succeed');
+    assertEqual(res.body.event, 'SwapRefunded', 'Event should be SwapRefunded');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Transfer amount should match');
   });
 
-  await runTest('Non-sender cannot refund', async () => {
-    const testSecret = '0x' + 'c'.repeat(64);
-    const testHash = sha256(testSecret);
-    
-    // Create swap with future expiration
+  await runTest('Third party can refund after expiration, paying the sender', async () => {
     const expirationTime = now() + 100;
-    await initiate(testHash, bob, expirationTime, amountMutez, alice);
-    
-    // Simulate time passing (past expiration)
-    setMockTime(expirationTime + 100);
-    
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'c'.repeat(64)), recipient: TZ_BOB, expiration: expirationTime },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    travelTo(expirationTime + 100);
+    let res;
     try {
-      await refund(testHash, bob); // Bob is not sender
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('Only sender'), 'Should reject non-sender refund');
+      res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_BOB });
+    } finally {
+      travelBack();
     }
-    
-    resetMockTime();
+    assertEqual(res.status, 200, 'Refund by a non-sender should succeed');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing is sent to the caller');
+    assertEqual(transfers.length, 1, 'One payout to the sender');
+    assertEqual(transfers[0].to, TZ_ALICE, 'Funds go back to the sender');
+    assertEqual(transfers[0].amountMutez, amountMutez, 'Sender gets the full amount');
   });
-  
+
   await runTest('Cannot refund before expiration', async () => {
-    const testSecret = '0x' + 'e'.repeat(64);
-    const testHash = sha256(testSecret);
-    
-    // Create swap with future expiration (1 hour from now)
-    const expirationTime = now() + 3600;
-    await initiate(testHash, bob, expirationTime, amountMutez, alice);
-    
-    // Try to refund before expiration
-    try {
-      await refund(testHash, alice);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('not yet expired') || e.message.includes('expired'), 'Should reject early refund');
-    }
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'e'.repeat(64)), recipient: TZ_BOB, expiration: now() + 3600 },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_ALICE });
+    assertEqual(res.status, 400, 'Early refund should be rejected');
+    assert(res.body.error.includes('Cannot refund yet'), 'Error should give the timelock');
   });
 
   await runTest('Cannot refund already claimed swap', async () => {
     const testSecret = '0x' + 'd'.repeat(64);
-    const testHash = sha256(testSecret);
-    await initiate(testHash, null, expiration, amountMutez, alice);
-    await claim(testHash, testSecret, bob);
-    
-    try {
-      await refund(testHash, alice);
-      assert(false, 'Should have thrown');
-    } catch (e) {
-      assert(e.message.includes('already claimed'), 'Should reject refund of claimed swap');
-    }
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_BOB });
+
+    const res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_ALICE });
+    assertEqual(res.status, 400, 'Refund of a claimed swap should be rejected');
+    assert(res.body.error.includes('CLAIMED'), 'Error should give the swap status');
   });
 
   // ========== CROSS-CHAIN COMPATIBILITY ==========
@@ -586,6 +476,1254 @@ async function runAllTests() {
     assertEqual(hash, hash2, 'Hash should be deterministic');
   });
 
+  // ========== PER-ADDRESS INDEX TESTS ==========
+  console.log('\n📇 Per-Address Index Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Initiate indexes swap by sender and recipient', async () => {
+    const testHash = sha256('0x' + '1'.repeat(64));
+    const res = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.status, 200, 'Initiate should succeed');
+
+    const bySender = await callHandler(`/swaps/by-sender/${TZ_ALICE}`);
+    assertEqual(bySender.body.length, 1, 'Alice should have one sent swap');
+    assertEqual(bySender.body[0].hashlock, testHash, 'Indexed hashlock should match');
+
+    const byRecipient = await callHandler(`/swaps/by-recipient/${TZ_BOB}`);
+    assertEqual(byRecipient.body.length, 1, 'Bob should have one incoming swap');
+
+    const notRecipient = await callHandler(`/swaps/by-recipient/${TZ_ALICE}`);
+    assertEqual(notRecipient.body.length, 0, 'Alice is not a recipient');
+  });
+
+  await runTest('Status filter follows a claimed swap', async () => {
+    const testSecret = '0x' + '2'.repeat(64);
+    const testHash = sha256(testSecret);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_BOB });
+
+    const open = await callHandler(`/swaps/by-recipient/${TZ_BOB}?status=OPEN`);
+    assertEqual(open.body.length, 0, 'No open swaps left for Bob');
+
+    const claimed = await callHandler(`/swaps/by-sender/${TZ_ALICE}?status=CLAIMED`);
+    assertEqual(claimed.body.length, 1, 'Alice should see the claimed swap');
+    assertEqual(claimed.body[0].revealedSecret, testSecret, 'Claimed swap exposes secret');
+  });
+
+  await runTest('Open swap is indexed under its claimer', async () => {
+    const testSecret = '0x' + '3'.repeat(64);
+    const testHash = sha256(testSecret);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: testHash, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_CAROL });
+
+    const byRecipient = await callHandler(`/swaps/by-recipient/${TZ_CAROL}`);
+    assertEqual(byRecipient.body.length, 1, 'Carol should see the swap she claimed');
+  });
+
+  await runTest('Status filter follows a refunded swap', async () => {
+    const testHash = sha256('0x' + '4'.repeat(64));
+    const expirationTime = now() + 100;
+    const init = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration: expirationTime },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    travelTo(expirationTime + 100);
+    try {
+      const res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_ALICE });
+      assertEqual(res.status, 200, 'Refund should succeed');
+    } finally {
+      travelBack();
+    }
+
+    const refunded = await callHandler(`/swaps/by-sender/${TZ_ALICE}?status=REFUNDED`);
+    assertEqual(refunded.body.length, 1, 'Refunded filter should match the swap');
+    const both = await callHandler(`/swaps/by-recipient/${TZ_BOB}?status=OPEN,REFUNDED`);
+    assertEqual(both.body.length, 1, 'Comma-separated status filter should match');
+  });
+
+  await runTest('By-address lookup rejects bad address and status', async () => {
+    const badAddress = await callHandler('/swaps/by-sender/not-an-address');
+    assertEqual(badAddress.status, 400, 'Invalid address should be rejected');
+
+    const badStatus = await callHandler(`/swaps/by-sender/${TZ_ALICE}?status=PENDING`);
+    assertEqual(badStatus.status, 400, 'Unknown status should be rejected');
+    assert(badStatus.body.error.includes('Invalid status filter'), 'Error should name the filter');
+  });
+
+  await runTest('/v2/swaps/by-sender pages through an address history', async () => {
+    const sender = 'tz1' + 'P'.repeat(33);
+    for (let i = 0; i < 5; i++) {
+      await callHandler('/initiate', {
+        body: { hashlock: sha256('0x' + (0xa0 + i).toString(16).repeat(32)), recipient: TZ_BOB, expiration },
+        caller: sender,
+        amount: amountMutez
+      });
+    }
+
+    const first = await callHandler(`/v2/swaps/by-sender/${sender}?limit=2`);
+    assertEqual(first.status, 200, 'Paged lookup should succeed');
+    assertEqual(first.body.total, 5, 'Total counts every indexed swap');
+    assertEqual(first.body.swaps.length, 2, 'Page holds limit swaps');
+    assertEqual(first.body.nextCursor, 2, 'Cursor points at the next older entry');
+
+    const seen = first.body.swaps.map(s => s.swapId);
+    let cursor = first.body.nextCursor;
+    while (cursor !== null) {
+      const page = await callHandler(`/v2/swaps/by-sender/${sender}?limit=2&cursor=${cursor}`);
+      seen.push(...page.body.swaps.map(s => s.swapId));
+      cursor = page.body.nextCursor;
+    }
+    assertEqual(new Set(seen).size, 5, 'Walking the cursor visits every swap once');
+
+    const legacy = await callHandler(`/swaps/by-sender/${sender}?limit=2`);
+    assert(Array.isArray(legacy.body), '/swaps/by-sender still returns an array');
+    assertEqual(legacy.body[0].swapId, seen[0], 'Array starts with the newest swap');
+    assertEqual(kvStore.get(`index/sender/${sender}/count`), '5', 'Index is a sequence-keyed log');
+  });
+
+  // ========== PAGINATION TESTS ==========
+  console.log('\n📄 Cursor Pagination Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Cursor walk returns every swap exactly once, newest first', async () => {
+    const created = [];
+    for (let i = 0; i < 5; i++) {
+      const testHash = sha256('0x' + i.toString(16).repeat(64));
+      await callHandler('/initiate', {
+        body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+      created.push(testHash);
+    }
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const query = cursor === null ? '?limit=2' : `?limit=2&cursor=${cursor}`;
+      const page = await callHandler(`/v2/swaps${query}`);
+      assertEqual(page.status, 200, 'Page should load');
+      assertEqual(page.body.total, 5, 'Total should count every swap');
+      seen.push(...page.body.swaps.map(s => s.hashlock));
+      cursor = page.body.nextCursor;
+    } while (cursor !== null);
+
+    assertEqual(seen.length, 5, 'All swaps should be listed');
+    assertEqual(seen.join(), created.reverse().join(), 'Swaps should come newest first');
+  });
+
+  await runTest('Swaps carry a monotonic sequence number', async () => {
+    const first = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'a'.repeat(64)), expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const second = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'b'.repeat(64)), expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(first.body.data.seq, 0, 'First swap gets seq 0');
+    assertEqual(second.body.data.seq, 1, 'Second swap gets seq 1');
+  });
+
+  await runTest('Status filter applies within a page', async () => {
+    const testSecret = '0x' + 'c'.repeat(64);
+    const testHash = sha256(testSecret);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'd'.repeat(64)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret: testSecret }, caller: TZ_BOB });
+
+    const open = await callHandler('/v2/swaps?status=OPEN');
+    assertEqual(open.body.swaps.length, 1, 'Only the open swap should match');
+    assertEqual(open.body.nextCursor, null, 'Single page should have no next cursor');
+  });
+
+  await runTest('Invalid cursor is rejected', async () => {
+    const res = await callHandler('/v2/swaps?cursor=-1');
+    assertEqual(res.status, 400, 'Negative cursor should be rejected');
+    assert(res.body.error.includes('Invalid cursor'), 'Error should name the cursor');
+  });
+
+  await runTest('/swaps keeps its array response', async () => {
+    for (const digit of ['5', '6', '7']) {
+      await callHandler('/initiate', {
+        body: { hashlock: sha256('0x' + digit.repeat(64)), expiration },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+    }
+    const res = await callHandler('/swaps?limit=2');
+    assert(Array.isArray(res.body), 'Body should be an array');
+    assertEqual(res.body.map(s => s.seq).join(), '1,2', 'Newest swaps, oldest first');
+  });
+
+  // ========== LEGACY LAYOUT TESTS ==========
+  console.log('\n🗄️ Legacy Layout Tests (handler)');
+  console.log('-'.repeat(50));
+
+  // Swaps stored before swap ids: record under the bare hashlock, listed in swap_keys
+  const seedLegacySwap = (testSecret, fields = {}) => {
+    const testHash = sha256(testSecret);
+    const swap = {
+      hashlock: testHash, sender: TZ_ALICE, recipient: TZ_BOB, amountMutez,
+      amountXtz: mutezToXtz(amountMutez), expiration, status: SwapStatus.OPEN, createdAt: now(), ...fields
+    };
+    Kv.set(testHash.slice(2), JSON.stringify(swap));
+    Kv.set('swap_keys', JSON.stringify([...JSON.parse(Kv.get('swap_keys') || '[]'), testHash]));
+    return testHash;
+  };
+
+  await runTest('Legacy swaps are listed and claimable after the upgrade', async () => {
+    const legacySecret = '0x' + '8'.repeat(64);
+    const legacyHash = seedLegacySwap(legacySecret);
+    seedLegacySwap('0x' + '9'.repeat(64), { status: SwapStatus.CLAIMED });
+
+    const single = await callHandler(`/swap/${legacyHash}`);
+    assertEqual(single.body.found, true, 'Legacy swap is found by its hashlock');
+    assertEqual(single.body.swap.swapId, legacyHash, 'Its swapId is its hashlock');
+    const beforeMigration = await callHandler('/v2/swaps');
+    assertEqual(beforeMigration.body.total, 0, 'Reads do not migrate');
+    assertEqual(Kv.get('legacy/migrated'), null, 'Reads leave Kv untouched');
+
+    const migration = await callHandler('/migrate');
+    assertEqual(migration.body.done, true, 'Two legacy swaps fit in one chunk');
+
+    const page = await callHandler('/v2/swaps');
+    assertEqual(page.body.total, 2, 'Legacy swaps join the sequence log');
+    const open = await callHandler('/swaps?status=OPEN');
+    assertEqual(open.body.length, 1, 'Open legacy swap is listed');
+    const bySender = await callHandler(`/swaps/by-sender/${TZ_ALICE}?status=OPEN`);
+    assertEqual(bySender.body.length, 1, 'Legacy swap is indexed by sender');
+    const byHashlock = await callHandler(`/swaps/by-hashlock/${legacyHash}`);
+    assertEqual(byHashlock.body.length, 1, 'Legacy swap is indexed by hashlock');
+
+    const fresh = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'e'.repeat(64)), expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(fresh.body.data.seq, 2, 'New swaps come after the migrated ones');
+
+    const res = await callHandler('/claim', { body: { swapId: legacyHash, secret: legacySecret }, caller: TZ_BOB });
+    assertEqual(res.status, 200, 'Legacy swap can be claimed');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Recipient is paid');
+    const claimed = await callHandler(`/swap/${legacyHash}`);
+    assertEqual(claimed.body.swap.status, 'CLAIMED', 'Claim is saved in the new layout');
+  });
+
+  await runTest('Legacy migration runs in bounded chunks', async () => {
+    for (let i = 0; i < 150; i++) {
+      seedLegacySwap('0x' + i.toString(16).padStart(64, '0'));
+    }
+    await callHandler('/claim', { body: { swapId: '0x' + 'f'.repeat(64), secret: '0x' + 'f'.repeat(64) }, caller: TZ_BOB });
+    assertEqual(Kv.get('legacy/migrated'), '100', 'A state-changing call moves one chunk, even if it fails');
+    const last = await callHandler('/migrate');
+    assertEqual(last.body.migrated, 150, 'Next call moves the rest');
+    assertEqual(last.body.done, true, 'Migration reports completion');
+    assertEqual(Kv.get('legacy/done'), '150', 'Completion is recorded');
+    const page = await callHandler('/v2/swaps?limit=1');
+    assertEqual(page.body.total, 150, 'Every legacy swap is in the sequence log');
+    await callHandler('/migrate');
+    const again = await callHandler('/v2/swaps?limit=1');
+    assertEqual(again.body.total, 150, 'Migration does not run twice');
+  });
+
+  // ========== EVENT JOURNAL TESTS ==========
+  console.log('\n📜 Event Journal Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Every state transition is journaled in order', async () => {
+    const testSecret = '0x' + '5'.repeat(64);
+    const testHash = sha256(testSecret);
+    const refundHash = sha256('0x' + '6'.repeat(64));
+    const expirationTime = now() + 100;
+    const claimed = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const refunded = await callHandler('/initiate', {
+      body: { hashlock: refundHash, recipient: TZ_BOB, expiration: expirationTime },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    await callHandler('/claim', { body: { swapId: claimed.body.data.swapId, secret: testSecret }, caller: TZ_BOB });
+    travelTo(expirationTime + 1);
+    try {
+      await callHandler('/refund', { body: { swapId: refunded.body.data.swapId }, caller: TZ_ALICE });
+    } finally {
+      travelBack();
+    }
+
+    const res = await callHandler('/events');
+    const names = res.body.events.map(e => e.event);
+    assertEqual(names.join(), 'SwapInitiated,SwapInitiated,SwapClaimed,SwapRefunded', 'Events should be in order');
+    assertEqual(res.body.events.map(e => e.seq).join(), '0,1,2,3', 'Sequence numbers should be contiguous');
+    assertEqual(res.body.events[2].data.secret, testSecret, 'Claim event should carry the secret');
+    assertEqual(res.body.events[3].swapId, refunded.body.data.swapId, 'Entries should name their swap');
+    assertEqual(res.body.latest, 4, 'Latest should be the journal length');
+  });
+
+  await runTest('Events can be tailed with since/nextSince', async () => {
+    for (let i = 0; i < 3; i++) {
+      await callHandler('/initiate', {
+        body: { hashlock: sha256('0x' + (i + 7).toString(16).repeat(64)), expiration },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+    }
+
+    const first = await callHandler('/events?since=0&limit=2');
+    assertEqual(first.body.events.length, 2, 'First page should hold 2 events');
+    assertEqual(first.body.nextSince, 2, 'nextSince should point after the page');
+
+    const second = await callHandler(`/events?since=${first.body.nextSince}&limit=2`);
+    assertEqual(second.body.events.length, 1, 'Second page should hold the last event');
+    assertEqual(second.body.events[0].seq, 2, 'Tail should resume at seq 2');
+
+    const idle = await callHandler(`/events?since=${second.body.nextSince}`);
+    assertEqual(idle.body.events.length, 0, 'Nothing new to tail');
+    assertEqual(idle.body.nextSince, 3, 'nextSince should stay put when idle');
+  });
+
+  await runTest('Failed operations are not journaled', async () => {
+    await callHandler('/claim', { body: { swapId: '0x' + 'f'.repeat(64), secret: '0x' + 'f'.repeat(64) }, caller: TZ_BOB });
+    const res = await callHandler('/events');
+    assertEqual(res.body.latest, 0, 'Journal should stay empty');
+  });
+
+  // ========== BATCH TESTS ==========
+  console.log('\n📦 Batch Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Batch claims several swaps with one summed transfer', async () => {
+    const secrets = ['0x' + '1'.repeat(64), '0x' + '2'.repeat(64)];
+    const swapIds = [];
+    for (const s of secrets) {
+      const init = await callHandler('/initiate', {
+        body: { hashlock: sha256(s), recipient: TZ_BOB, expiration },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+      swapIds.push(init.body.data.swapId);
+    }
+
+    const res = await callHandler('/batch', {
+      body: { actions: secrets.map((s, i) => ({ action: 'claim', swapId: swapIds[i], secret: s })) },
+      caller: TZ_BOB
+    });
+    assertEqual(res.status, 200, 'Batch should succeed');
+    assertEqual(res.body.applied, 2, 'Both claims should apply');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(2 * amountMutez), 'Transfer should be summed');
+  });
+
+  await runTest('Per-item batch skips failures with the single-route error wording', async () => {
+    const goodSecret = '0x' + '3'.repeat(64);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(goodSecret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const { swapId } = init.body.data;
+
+    const res = await callHandler('/batch', {
+      body: {
+        actions: [
+          { action: 'claim', swapId, secret: '0x' + '4'.repeat(64) },
+          { action: 'claim', swapId, secret: goodSecret },
+          { action: 'claim', swapId, secret: goodSecret }
+        ]
+      },
+      caller: TZ_BOB
+    });
+    assertEqual(res.status, 200, 'Per-item batch should succeed');
+    assertEqual(res.body.results[0].error, 'Invalid secret: hash does not match hashlock', 'Same wording as /claim');
+    assert(res.body.results[1].success, 'Second item should apply');
+    assertEqual(res.body.results[2].error, 'Swap is CLAIMED, cannot claim', 'Later item sees earlier item state');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Only the applied claim is paid');
+  });
+
+  await runTest('Batch initiates split the received amount and return the rest', async () => {
+    const res = await callHandler('/batch', {
+      body: {
+        actions: [
+          { action: 'initiate', hashlock: sha256('0x' + '5'.repeat(64)), recipient: TZ_BOB, expiration, amountMutez: 2000000 },
+          { action: 'initiate', hashlock: sha256('0x' + '6'.repeat(64)), recipient: TZ_BOB, expiration, amountMutez: 2000000 },
+          { action: 'initiate', hashlock: sha256('0x' + '7'.repeat(64)), recipient: TZ_BOB, expiration, amountMutez: 2000000 }
+        ]
+      },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.body.applied, 2, 'Only two initiates fit in 5 XTZ');
+    assert(res.body.results[2].error.includes('Insufficient amount'), 'Third initiate should run out of tez');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), '1000000', 'Unlocked 1 XTZ should be returned');
+  });
+
+  await runTest('All-or-nothing batch discards every item on failure', async () => {
+    const goodSecret = '0x' + '8'.repeat(64);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(goodSecret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const { swapId } = init.body.data;
+
+    const res = await callHandler('/batch', {
+      body: {
+        mode: 'all-or-nothing',
+        actions: [
+          { action: 'claim', swapId, secret: goodSecret },
+          { action: 'refund', swapId: '0x' + '9'.repeat(64) }
+        ]
+      },
+      caller: TZ_BOB
+    });
+    assertEqual(res.status, 400, 'Batch should fail');
+    assert(res.body.error.includes('Swap not found'), 'Error should carry the item error');
+    assertEqual(res.body.results.length, 2, 'Results should cover attempted items');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing should be transferred');
+
+    const swap = await callHandler(`/swap/${swapId}`);
+    assertEqual(swap.body.swap.status, 'OPEN', 'First claim should be rolled back');
+    const events = await callHandler('/events');
+    assertEqual(events.body.latest, 1, 'Rolled back claim should not be journaled');
+  });
+
+  await runTest('Per-item batch fails when no item applies', async () => {
+    const res = await callHandler('/batch', {
+      body: {
+        actions: [
+          { action: 'claim', swapId: '0x' + 'a'.repeat(64), secret: '0x' + '1'.repeat(64) },
+          { action: 'initiate', hashlock: sha256('0x' + 'b'.repeat(64)), recipient: TZ_BOB, expiration, amountMutez: amountMutez * 2 }
+        ]
+      },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.status, 400, 'A batch with no applied item should fail like all-or-nothing');
+    assert(res.body.error.includes('none of the 2 actions applied'), 'Error should say nothing applied');
+    assertEqual(res.body.results.length, 2, 'Results should cover every item');
+    assert(res.body.results.every(r => !r.success), 'Every item should be reported as failed');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing should be transferred');
+  });
+
+  await runTest('Batch rejects unknown actions and modes', async () => {
+    const badMode = await callHandler('/batch', { body: { mode: 'yolo', actions: [{ action: 'claim' }] }, caller: TZ_BOB });
+    assertEqual(badMode.status, 400, 'Unknown mode should be rejected');
+
+    const badAction = await callHandler('/batch', { body: { actions: [{ action: 'steal' }] }, caller: TZ_BOB });
+    assertEqual(badAction.status, 400, 'A batch of unknown actions should fail');
+    assert(badAction.body.results[0].error.includes('Unknown batch action'), 'Unknown action should fail its item');
+  });
+
+  // ========== SWAP ID TESTS ==========
+  console.log('\n🆔 Swap Id Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Reusing a hashlock cannot block the legitimate swap', async () => {
+    const testSecret = '0x' + 'e'.repeat(64);
+    const testHash = sha256(testSecret);
+
+    // Carol saw the hashlock first and squats it with dust
+    const squat = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_CAROL,
+      amount: 1000
+    });
+    assertEqual(squat.status, 200, 'Squat swap is just another swap');
+
+    const real = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(real.status, 200, 'Alice can still lock under her hashlock');
+    assert(real.body.data.swapId !== squat.body.data.swapId, 'Swaps should get distinct ids');
+
+    const claimRes = await callHandler('/claim', {
+      body: { swapId: real.body.data.swapId, secret: testSecret },
+      caller: TZ_BOB
+    });
+    assertEqual(claimRes.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Bob claims Alice\'s amount');
+  });
+
+  await runTest('Same sender gets a fresh id for every swap', async () => {
+    const testHash = sha256('0x' + 'a'.repeat(64));
+    const ids = [];
+    for (let i = 0; i < 2; i++) {
+      const res = await callHandler('/initiate', {
+        body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+      assertEqual(res.body.data.nonce, i, 'Nonce should increase per sender');
+      ids.push(res.body.data.swapId);
+    }
+    assert(ids[0] !== ids[1], 'Ids should differ');
+  });
+
+  await runTest('By-hashlock lookup lists every swap, oldest first', async () => {
+    const testHash = sha256('0x' + 'b'.repeat(64));
+    const first = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_CAROL,
+      amount: 1000
+    });
+    const second = await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler(`/swaps/by-hashlock/${testHash}`);
+    assertEqual(res.status, 200, 'Lookup should succeed');
+    assertEqual(res.body.map(s => s.swapId).join(), [first.body.data.swapId, second.body.data.swapId].join(), 'Both swaps in creation order');
+    assertEqual(res.body[1].sender, TZ_ALICE, 'Records carry the sender to filter on');
+
+    const bad = await callHandler('/swaps/by-hashlock/0x1234');
+    assertEqual(bad.status, 400, 'Invalid hashlock should be rejected');
+  });
+
+  await runTest('By-hashlock lookup pages with offset and limit', async () => {
+    const testHash = sha256('0x' + 'e1'.repeat(32));
+    const ids = [];
+    for (let i = 0; i < 4; i++) {
+      const res = await callHandler('/initiate', {
+        body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+        caller: TZ_CAROL,
+        amount: 1000
+      });
+      ids.push(res.body.data.swapId);
+    }
+
+    const page = await callHandler(`/v2/swaps/by-hashlock/${testHash}?offset=1&limit=2`);
+    assertEqual(page.body.total, 4, 'Total counts every swap under the hashlock');
+    assertEqual(page.body.swaps.map(s => s.swapId).join(), ids.slice(1, 3).join(), 'Page starts at offset');
+
+    const tail = await callHandler(`/swaps/by-hashlock/${testHash}?offset=3`);
+    assertEqual(tail.body.map(s => s.swapId).join(), ids[3], 'Array route honours the offset');
+    const past = await callHandler(`/swaps/by-hashlock/${testHash}?offset=9`);
+    assertEqual(past.body.length, 0, 'Offset past the end returns nothing');
+
+    const badOffset = await callHandler(`/swaps/by-hashlock/${testHash}?offset=-1`);
+    assertEqual(badOffset.status, 400, 'Negative offset should be rejected');
+    assertEqual(kvStore.get(`index/hashlock/${testHash.slice(2)}/count`), '4', 'Index is a sequence-keyed log');
+  });
+
+  await runTest('Claim and refund address swaps by id, not hashlock', async () => {
+    const testSecret = '0x' + 'c'.repeat(64);
+    const testHash = sha256(testSecret);
+    await callHandler('/initiate', {
+      body: { hashlock: testHash, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/claim', { body: { swapId: testHash, secret: testSecret }, caller: TZ_BOB });
+    assertEqual(res.status, 400, 'Hashlock is not a swap id');
+    assertEqual(res.body.error, 'Swap not found', 'Lookup by hashlock should miss');
+  });
+
+  // ========== RELAYED CLAIM TESTS ==========
+  console.log('\n🛰️ Relayed Claim Tests (handler)');
+  console.log('-'.repeat(50));
+
+  const relayerFeeMutez = 50000;
+
+  await runTest('Relayer claim pays the recipient and only the fee to the caller', async () => {
+    const testSecret = '0x' + '1'.repeat(64);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration, relayerFeeMutez },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(init.body.data.relayerFeeMutez, relayerFeeMutez, 'Fee should be stored on the swap');
+
+    const res = await callHandler('/claim', {
+      body: { swapId: init.body.data.swapId, secret: testSecret },
+      caller: TZ_CAROL
+    });
+    assertEqual(res.status, 200, 'Anyone with the secret can claim');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(relayerFeeMutez), 'Caller only gets the fee');
+    assertEqual(transfers.length, 1, 'One payout to the recipient');
+    assertEqual(transfers[0].to, TZ_BOB, 'Payout goes to the recipient');
+    assertEqual(transfers[0].amountMutez, amountMutez - relayerFeeMutez, 'Recipient gets the amount minus the fee');
+    assertEqual(res.body.data.claimedBy, TZ_CAROL, 'Relayer is recorded as claimer');
+    assertEqual(res.body.data.paidTo, TZ_BOB, 'Recipient is recorded as payee');
+
+    const swap = await callHandler(`/swap/${init.body.data.swapId}`);
+    assertEqual(swap.body.swap.status, 'CLAIMED', 'Swap should be claimed');
+  });
+
+  await runTest('Recipient claiming directly pays no relayer fee', async () => {
+    const testSecret = '0x' + '2'.repeat(64);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration, relayerFeeMutez },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/claim', {
+      body: { swapId: init.body.data.swapId, secret: testSecret },
+      caller: TZ_BOB
+    });
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Recipient gets the full amount');
+    assertEqual(transfers.length, 0, 'No third-party payout');
+    assertEqual(res.body.data.relayerFeeMutez, 0, 'No fee charged');
+  });
+
+  await runTest('Relayed claim without a fee still pays the recipient in full', async () => {
+    const testSecret = '0x' + '3'.repeat(64);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/claim', {
+      body: { swapId: init.body.data.swapId, secret: testSecret },
+      caller: TZ_CAROL
+    });
+    assertEqual(res.status, 200, 'Claim should succeed');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing for the relayer');
+    assertEqual(transfers[0].amountMutez, amountMutez, 'Recipient gets everything');
+  });
+
+  await runTest('Initiate rejects invalid relayer fees', async () => {
+    const testHash = sha256('0x' + '4'.repeat(64));
+    const cases = [
+      [{ recipient: TZ_BOB, relayerFeeMutez: amountMutez }, 'lower than the locked amount'],
+      [{ recipient: TZ_BOB, relayerFeeMutez: -1 }, 'Invalid relayer fee'],
+      [{ recipient: TZ_BOB, relayerFeeMutez: 1.5 }, 'Invalid relayer fee'],
+      [{ recipient: null, relayerFeeMutez: 1000 }, 'requires a designated recipient']
+    ];
+    for (const [extra, message] of cases) {
+      const res = await callHandler('/initiate', {
+        body: { hashlock: testHash, expiration, ...extra },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+      assertEqual(res.status, 400, `Fee ${extra.relayerFeeMutez} should be rejected`);
+      assert(res.body.error.includes(message), `Unexpected error: ${res.body.error}`);
+    }
+  });
+
+  await runTest('Refused payout fails the relayed claim', async () => {
+    const testSecret = '0x' + '5'.repeat(64);
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(testSecret), recipient: TZ_BOB, expiration, relayerFeeMutez },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    refuseTransfers = true;
+    const res = await callHandler('/claim', {
+      body: { swapId: init.body.data.swapId, secret: testSecret },
+      caller: TZ_CAROL
+    });
+    assertEqual(res.status, 400, 'Claim should fail so the runtime reverts it');
+    assert(res.body.error.includes('failed'), 'Error should name the failed transfer');
+  });
+
+  await runTest('Batch relays claims for several recipients', async () => {
+    const secrets = ['0x' + '6'.repeat(64), '0x' + '7'.repeat(64)];
+    const ids = [];
+    for (const [i, recipient] of [TZ_BOB, TZ_ALICE].entries()) {
+      const init = await callHandler('/initiate', {
+        body: { hashlock: sha256(secrets[i]), recipient, expiration, relayerFeeMutez },
+        caller: i === 0 ? TZ_ALICE : TZ_BOB,
+        amount: amountMutez
+      });
+      ids.push(init.body.data.swapId);
+    }
+
+    const res = await callHandler('/batch', {
+      body: { actions: ids.map((swapId, i) => ({ action: 'claim', swapId, secret: secrets[i] })) },
+      caller: TZ_CAROL
+    });
+    assertEqual(res.body.applied, 2, 'Both claims applied');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(2 * relayerFeeMutez), 'Caller gets both fees');
+    assertEqual(transfers.map(t => t.to).join(), [TZ_BOB, TZ_ALICE].join(), 'Each recipient is paid');
+    assert(!('payouts' in res.body), 'Payouts are not echoed in the body');
+  });
+
+  // ========== PERMISSIONLESS REFUND TESTS (handler) ==========
+  console.log('\n🧹 Permissionless Refund Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Anyone can refund an expired swap, paying only the sender', async () => {
+    const expirationTime = now() + 100;
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'a1'.repeat(32)), recipient: TZ_BOB, expiration: expirationTime },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    travelTo(expirationTime + 1);
+    let res;
+    try {
+      res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_CAROL });
+    } finally {
+      travelBack();
+    }
+    assertEqual(res.status, 200, 'Watchtower refund should succeed');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing is sent to the caller');
+    assertEqual(transfers.length, 1, 'One payout to the sender');
+    assertEqual(transfers[0].to, TZ_ALICE, 'Funds go back to the sender');
+    assertEqual(transfers[0].amountMutez, amountMutez, 'Sender gets the full amount');
+    assertEqual(res.body.data.refundedTo, TZ_ALICE, 'Sender is recorded as payee');
+    assertEqual(res.body.data.refundedBy, TZ_CAROL, 'Caller is recorded as trigger');
+
+    const swap = await callHandler(`/swap/${init.body.data.swapId}`);
+    assertEqual(swap.body.swap.status, 'REFUNDED', 'Swap should be refunded');
+    assertEqual(swap.body.swap.refundedBy, TZ_CAROL, 'Swap keeps who triggered the refund');
+  });
+
+  await runTest('Third party cannot refund before expiration', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'a2'.repeat(32)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_CAROL });
+    assertEqual(res.status, 400, 'Early refund should fail');
+    assertEqual(transfers.length, 0, 'No payout');
+  });
+
+  await runTest('Sender refunding directly is paid through the response header', async () => {
+    const expirationTime = now() + 100;
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'a3'.repeat(32)), recipient: TZ_BOB, expiration: expirationTime },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    travelTo(expirationTime + 1);
+    let res;
+    try {
+      res = await callHandler('/refund', { body: { swapId: init.body.data.swapId }, caller: TZ_ALICE });
+    } finally {
+      travelBack();
+    }
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Sender gets the amount back');
+    assertEqual(transfers.length, 0, 'No third-party payout');
+    assertEqual(res.body.data.refundedBy, TZ_ALICE, 'Sender is recorded as trigger');
+  });
+
+  await runTest('Watchtower batch-refunds expired swaps of several senders', async () => {
+    const expirationTime = now() + 100;
+    const ids = [];
+    for (const [i, sender] of [TZ_ALICE, TZ_BOB].entries()) {
+      const init = await callHandler('/initiate', {
+        body: { hashlock: sha256('0x' + `b${i}`.repeat(32)), recipient: TZ_CAROL, expiration: expirationTime },
+        caller: sender,
+        amount: amountMutez
+      });
+      ids.push(init.body.data.swapId);
+    }
+
+    travelTo(expirationTime + 1);
+    let res;
+    try {
+      res = await callHandler('/batch', {
+        body: { actions: ids.map(swapId => ({ action: 'refund', swapId })) },
+        caller: TZ_CAROL
+      });
+    } finally {
+      travelBack();
+    }
+    assertEqual(res.body.applied, 2, 'Both refunds applied');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing for the watchtower');
+    assertEqual(transfers.map(t => t.to).join(), [TZ_ALICE, TZ_BOB].join(), 'Each sender is refunded');
+  });
+
+  // ========== EXPIRATION EXTENSION TESTS (handler) ==========
+  console.log('\n⏳ Expiration Extension Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Sender can extend an open swap', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'e1'.repeat(32)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swapId = init.body.data.swapId;
+
+    const res = await callHandler('/extend', { body: { swapId, expiration: expiration + 3600 }, caller: TZ_ALICE });
+    assertEqual(res.status, 200, 'Extend should succeed');
+    assertEqual(res.body.event, 'SwapExtended', 'Should report SwapExtended');
+    assertEqual(res.body.data.oldExpiration, expiration, 'Should report the old expiration');
+    assertEqual(res.body.data.newExpiration, expiration + 3600, 'Should report the new expiration');
+
+    const swap = await callHandler(`/swap/${swapId}`);
+    assertEqual(swap.body.swap.expiration, expiration + 3600, 'Swap should carry the new expiration');
+
+    const events = await callHandler('/events');
+    assertEqual(events.body.events[events.body.events.length - 1].event, 'SwapExtended', 'Extension should be journaled');
+  });
+
+  await runTest('Extended swap cannot be refunded at the old expiration', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(secret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swapId = init.body.data.swapId;
+    await callHandler('/extend', { body: { swapId, expiration: expiration + 3600 }, caller: TZ_ALICE });
+
+    travelTo(expiration + 1);
+    let refund, claim;
+    try {
+      refund = await callHandler('/refund', { body: { swapId }, caller: TZ_ALICE });
+      claim = await callHandler('/claim', { body: { swapId, secret: secret }, caller: TZ_BOB });
+    } finally {
+      travelBack();
+    }
+    assertEqual(refund.status, 400, 'Refund should wait for the new expiration');
+    assertEqual(claim.status, 200, 'Recipient can still claim');
+  });
+
+  await runTest('Only the sender can extend, and only later', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'e2'.repeat(32)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swapId = init.body.data.swapId;
+
+    const byRecipient = await callHandler('/extend', { body: { swapId, expiration: expiration + 60 }, caller: TZ_BOB });
+    assertEqual(byRecipient.status, 400, 'Recipient cannot extend');
+    assert(byRecipient.body.error.includes('Only the sender'), 'Should explain who may extend');
+
+    const shorter = await callHandler('/extend', { body: { swapId, expiration: expiration - 60 }, caller: TZ_ALICE });
+    assertEqual(shorter.status, 400, 'Cannot shorten');
+    const same = await callHandler('/extend', { body: { swapId, expiration }, caller: TZ_ALICE });
+    assertEqual(same.status, 400, 'Cannot keep the same expiration');
+    const past = await callHandler('/extend', { body: { swapId, expiration: now() - 1 }, caller: TZ_ALICE });
+    assertEqual(past.status, 400, 'Cannot extend to the past');
+  });
+
+  await runTest('Expired swaps cannot be extended', async () => {
+    const shortExpiration = now() + 100;
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(secret), recipient: TZ_BOB, expiration: shortExpiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swapId = init.body.data.swapId;
+
+    travelTo(shortExpiration);
+    try {
+      const res = await callHandler('/extend', { body: { swapId, expiration: shortExpiration + 3600 }, caller: TZ_ALICE });
+      assertEqual(res.status, 400, 'Expired swap cannot be extended');
+      assert(res.body.error.includes('expired'), 'Should say the swap expired');
+
+      const refund = await callHandler('/refund', { body: { swapId }, caller: TZ_ALICE });
+      assertEqual(refund.status, 200, 'Expired swap can still be refunded');
+    } finally {
+      travelBack();
+    }
+  });
+
+  await runTest('Settled swaps cannot be extended', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256(secret), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swapId = init.body.data.swapId;
+    await callHandler('/claim', { body: { swapId, secret: secret }, caller: TZ_BOB });
+
+    const res = await callHandler('/extend', { body: { swapId, expiration: expiration + 3600 }, caller: TZ_ALICE });
+    assertEqual(res.status, 400, 'Claimed swap cannot be extended');
+    assert(res.body.error.includes('CLAIMED'), 'Should name the status');
+  });
+
+  // ========== MUTUAL CANCELLATION TESTS (handler) ==========
+  console.log('\n🤝 Mutual Cancellation Tests (handler)');
+  console.log('-'.repeat(50));
+
+  await runTest('Recipient can cancel before expiration, paying the sender', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'c1'.repeat(32)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swapId = init.body.data.swapId;
+
+    const res = await callHandler('/cancel', { body: { swapId }, caller: TZ_BOB });
+    assertEqual(res.status, 200, 'Cancel should succeed');
+    assertEqual(res.body.event, 'SwapCancelled', 'Should report SwapCancelled');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), null, 'Nothing is sent to the recipient');
+    assertEqual(transfers.length, 1, 'One payout to the sender');
+    assertEqual(transfers[0].to, TZ_ALICE, 'Funds go back to the sender');
+    assertEqual(transfers[0].amountMutez, amountMutez, 'Sender gets the full amount');
+
+    const swap = await callHandler(`/swap/${swapId}`);
+    assertEqual(swap.body.swap.status, 'REFUNDED', 'Cancelled swap ends refunded');
+    assertEqual(swap.body.swap.cancelledBy, TZ_BOB, 'Swap keeps who cancelled it');
+
+    const claim = await callHandler('/claim', { body: { swapId, secret: '0x' + 'c1'.repeat(32) }, caller: TZ_BOB });
+    assertEqual(claim.status, 400, 'Cancelled swap cannot be claimed');
+  });
+
+  await runTest('Sender and third parties cannot cancel', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'c2'.repeat(32)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    for (const caller of [TZ_ALICE, TZ_CAROL]) {
+      const res = await callHandler('/cancel', { body: { swapId: init.body.data.swapId }, caller });
+      assertEqual(res.status, 400, `${caller} should not cancel`);
+      assert(res.body.error.includes('Only the recipient'), 'Should explain who may cancel');
+    }
+    assertEqual(transfers.length, 0, 'No payout');
+  });
+
+  await runTest('Swaps without a designated recipient cannot be cancelled', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'c3'.repeat(32)), expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    const res = await callHandler('/cancel', { body: { swapId: init.body.data.swapId }, caller: TZ_BOB });
+    assertEqual(res.status, 400, 'Open swap cancel should fail');
+    assert(res.body.error.includes('no designated recipient'), 'Should explain why');
+  });
+
+  await runTest('Cancellation is journaled and moves the index buckets', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'c4'.repeat(32)), recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swapId = init.body.data.swapId;
+    await callHandler('/cancel', { body: { swapId }, caller: TZ_BOB });
+
+    const events = await callHandler('/events');
+    const last = events.body.events[events.body.events.length - 1];
+    assertEqual(last.event, 'SwapCancelled', 'Cancel should be journaled');
+    assertEqual(last.data.cancelledBy, TZ_BOB, 'Entry names the recipient');
+    assertEqual(last.data.refundedTo, TZ_ALICE, 'Entry names the payee');
+
+    const refunded = await callHandler(`/swaps/by-sender/${TZ_ALICE}?status=REFUNDED`);
+    assert(refunded.body.some(s => s.swapId === swapId), 'Sender index lists the swap as refunded');
+    const open = await callHandler(`/swaps/by-recipient/${TZ_BOB}?status=OPEN`);
+    assert(!open.body.some(s => s.swapId === swapId), 'Recipient index no longer lists it as open');
+  });
+
+  // ========== HASH ALGORITHM TESTS (handler) ==========
+  console.log('\n#️⃣  Hash Algorithm Tests (handler)');
+  console.log('-'.repeat(50));
+
+  // Keccak-256 of the test secret (ethers.keccak256 / Solidity keccak256)
+  const keccakHashlock = '0xcae36a6a44328f3fb063df12b0cf3fa225a3c6dbdd6acef0f6e619d33890cf24';
+
+  await runTest('Swaps default to SHA-256', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock, recipient: TZ_BOB, expiration },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(init.body.data.hashAlgorithm, 'sha256', 'Default algorithm');
+
+    const swap = await callHandler(`/swap/${init.body.data.swapId}`);
+    assertEqual(swap.body.swap.hashAlgorithm, 'sha256', '/swap reports the algorithm');
+  });
+
+  await runTest('Keccak-256 swap is claimed with its secret', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: keccakHashlock, recipient: TZ_BOB, expiration, hashAlgorithm: 'keccak256' },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(init.status, 200, 'Initiate should succeed');
+
+    const res = await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret }, caller: TZ_BOB });
+    assertEqual(res.status, 200, 'Claim should succeed');
+    assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Recipient is paid');
+
+    const swap = await callHandler(`/swap/${init.body.data.swapId}`);
+    assertEqual(swap.body.swap.hashAlgorithm, 'keccak256', '/swap reports the algorithm');
+  });
+
+  await runTest('Secret is only checked with the swap\'s own algorithm', async () => {
+    const asKeccak = await callHandler('/initiate', {
+      body: { hashlock, recipient: TZ_BOB, expiration, hashAlgorithm: 'keccak256' },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const asSha = await callHandler('/initiate', {
+      body: { hashlock: keccakHashlock, recipient: TZ_BOB, expiration, hashAlgorithm: 'sha256' },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+
+    for (const init of [asKeccak, asSha]) {
+      const res = await callHandler('/claim', { body: { swapId: init.body.data.swapId, secret }, caller: TZ_BOB });
+      assertEqual(res.status, 400, 'Claim with the other algorithm should fail');
+      assert(res.body.error.includes('hash does not match'), 'Error should mention the hash mismatch');
+    }
+  });
+
+  await runTest('Unknown hash algorithm is rejected', async () => {
+    const res = await callHandler('/initiate', {
+      body: { hashlock, recipient: TZ_BOB, expiration, hashAlgorithm: 'sha3-256' },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.status, 400, 'Initiate should fail');
+    assert(res.body.error.includes('Invalid hashAlgorithm'), 'Error should name the field');
+  });
+
+  await runTest('Batch initiate items carry their hash algorithm', async () => {
+    const res = await callHandler('/batch', {
+      body: {
+        actions: [{ action: 'initiate', hashlock: keccakHashlock, recipient: TZ_BOB, expiration, amountMutez, hashAlgorithm: 'keccak256' }]
+      },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.body.results[0].data.hashAlgorithm, 'keccak256', 'Item algorithm recorded');
+  });
+
+  // ========== COUNTERPART LEG TESTS (handler) ==========
+  console.log('\n🔗 Counterpart Leg Tests (handler)');
+  console.log('-'.repeat(50));
+
+  const EVM_ALICE = '0x' + 'a1'.repeat(20);
+
+  await runTest('Counterpart leg is stored and returned by /swap/:id', async () => {
+    const init = await callHandler('/initiate', {
+      body: {
+        hashlock: sha256('0x' + 'c1'.repeat(32)),
+        recipient: TZ_BOB,
+        expiration,
+        counterpart: { chain: 'etherlink', account: EVM_ALICE, amount: '1000000000000000000000', reference: 'deal-42' }
+      },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(init.status, 200, 'Initiate should succeed');
+
+    const swap = await callHandler(`/swap/${init.body.data.swapId}`);
+    const leg = swap.body.swap.counterpart;
+    assertEqual(leg.chain, 'etherlink', 'Chain stored');
+    assertEqual(leg.account, EVM_ALICE, 'Account stored');
+    assertEqual(leg.amount, '1000000000000000000000', 'Amount kept as an exact decimal string');
+    assertEqual(leg.reference, 'deal-42', 'Reference stored');
+  });
+
+  await runTest('Swaps without a counterpart report null', async () => {
+    const init = await callHandler('/initiate', {
+      body: { hashlock: sha256('0x' + 'c2'.repeat(32)), recipient: TZ_BOB, expiration, counterpart: { chain: '', account: '', amount: 0, reference: '' } },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swap = await callHandler(`/swap/${init.body.data.swapId}`);
+    assertEqual(swap.body.swap.counterpart, null, 'Empty counterpart is dropped');
+  });
+
+  await runTest('Invalid counterpart fields are rejected', async () => {
+    const bad = [
+      { account: 'not-an-address' },
+      { amount: '-1' },
+      { amount: 1.5 },
+      { reference: 'x'.repeat(129) },
+      { chain: 42 },
+      'etherlink'
+    ];
+    for (const [i, counterpart] of bad.entries()) {
+      const res = await callHandler('/initiate', {
+        body: { hashlock: sha256('0x' + i.toString(16).padStart(2, '0').repeat(32)), recipient: TZ_BOB, expiration, counterpart },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+      assertEqual(res.status, 400, `Counterpart ${JSON.stringify(counterpart)} should be rejected`);
+      assert(res.body.error.includes('counterpart'), 'Error should name the counterpart');
+    }
+  });
+
+  await runTest('Batch initiate items accept a counterpart', async () => {
+    const res = await callHandler('/batch', {
+      body: {
+        actions: [{
+          action: 'initiate', hashlock: sha256('0x' + 'c3'.repeat(32)), recipient: TZ_BOB, expiration, amountMutez,
+          counterpart: { chain: 'etherlink', account: EVM_ALICE, amount: 5 }
+        }]
+      },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    const swap = await callHandler(`/swap/${res.body.results[0].data.swapId}`);
+    assertEqual(swap.body.swap.counterpart.amount, '5', 'Numeric amounts are normalized to strings');
+    assertEqual(swap.body.swap.counterpart.reference, '', 'Missing fields default to empty');
+  });
+
+  // ========== NOTIFICATION TESTS (handler) ==========
+  console.log('\n📣 Notification Tests (handler)');
+  console.log('-'.repeat(50));
+
+  const KT1_RECEIVER = 'KT1' + 'N'.repeat(33);
+
+  async function initiateWithNotify(secretHex, notify = KT1_RECEIVER, expiresAt = expiration) {
+    const res = await callHandler('/initiate', {
+      body: { hashlock: sha256(secretHex), recipient: TZ_BOB, expiration: expiresAt, notify },
+      caller: TZ_ALICE,
+      amount: amountMutez
+    });
+    assertEqual(res.status, 200, 'Initiate should succeed');
+    return res.body.data.swapId;
+  }
+
+  await runTest('Claim notifies the receiver with the revealed secret', async () => {
+    const notifySecret = '0x' + 'd1'.repeat(32);
+    const swapId = await initiateWithNotify(notifySecret);
+
+    const res = await callHandler('/claim', { body: { swapId, secret: notifySecret }, caller: TZ_BOB });
+    assertEqual(res.status, 200, 'Claim should succeed');
+    assertEqual(res.body.notifications, undefined, 'Notifications are not echoed to the caller');
+    assertEqual(notifications.length, 1, 'One notification sent');
+    assertEqual(notifications[0].to, KT1_RECEIVER, 'Sent to the notify address');
+    assertEqual(notifications[0].event, 'SwapClaimed', 'Event header set');
+    const payload = notifications[0].payload;
+    assertEqual(payload.swapId, swapId, 'Payload names the swap');
+    assertEqual(payload.data.secret, notifySecret, 'Payload carries the secret');
+    assertEqual(typeof payload.seq, 'number', 'Payload is the journal entry');
+
+    const swap = await callHandler(`/swap/${swapId}`);
+    assertEqual(swap.body.swap.notify, KT1_RECEIVER, 'Notify address stored');
+    assertEqual(swap.body.swap.notifyDelivery.delivered, true, 'Delivery recorded');
+  });
+
+  await runTest('Notification body is the journal entry, with its sha256 as digest', async () => {
+    const notifySecret = '0x' + 'd8'.repeat(32);
+    const swapId = await initiateWithNotify(notifySecret);
+    await callHandler('/claim', { body: { swapId, secret: notifySecret }, caller: TZ_BOB });
+
+    const [{ body, digest, payload }] = notifications;
+    assertEqual(payload.contract, 'KT1TestContract', 'Payload names the HTLC');
+    assertEqual(eventDigest(body), digest, 'Digest is the sha256 of the body as sent');
+    assertEqual(kvStore.get(`events/seq/${payload.seq}`), body, 'Body is the journal entry verbatim');
+
+    const swap = await callHandler(`/swap/${swapId}`);
+    assertEqual(swap.body.swap.notifyDelivery.digest, digest, 'Delivery records the digest');
+  });
+
+  await runTest('Refund notifies the receiver', async () => {
+    const swapId = await initiateWithNotify('0x' + 'd2'.repeat(32), KT1_RECEIVER, now() + 60);
+    travelTo(now() + 61);
+    try {
+      const res = await callHandler('/refund', { body: { swapId }, caller: TZ_CAROL });
+      assertEqual(res.status, 200, 'Refund should succeed');
+    } finally {
+      travelBack();
+    }
+    assertEqual(notifications.length, 1, 'One notification sent');
+    assertEqual(notifications[0].event, 'SwapRefunded', 'Refund event sent');
+    assertEqual(notifications[0].payload.data.secret, undefined, 'No secret on refunds');
+  });
+
+  await runTest('Failed deliveries are recorded without reverting the swap', async () => {
+    for (const failure of ['status', 'throw']) {
+      notifyFailure = failure;
+      const failSecret = '0x' + (failure === 'status' ? 'd3' : 'd4').repeat(32);
+      const swapId = await initiateWithNotify(failSecret);
+      const res = await callHandler('/claim', { body: { swapId, secret: failSecret }, caller: TZ_BOB });
+      assertEqual(res.status, 200, `Claim should succeed when the receiver fails (${failure})`);
+      assertEqual(res.headers.get('X-JSTZ-TRANSFER'), String(amountMutez), 'Recipient is still paid');
+
+      const swap = await callHandler(`/swap/${swapId}`);
+      assertEqual(swap.body.swap.status, 'CLAIMED', 'Swap stays claimed');
+      assertEqual(swap.body.swap.notifyDelivery.delivered, false, 'Failure recorded');
+      assert(swap.body.swap.notifyDelivery.error, 'Failure reason recorded');
+    }
+  });
+
+  await runTest('skipNotify from the payee settles without calling the receiver', async () => {
+    const skipSecret = '0x' + 'd5'.repeat(32);
+    const swapId = await initiateWithNotify(skipSecret);
+    await callHandler('/claim', { body: { swapId, secret: skipSecret, skipNotify: true }, caller: TZ_BOB });
+    assertEqual(notifications.length, 0, 'Receiver not called');
+    const swap = await callHandler(`/swap/${swapId}`);
+    assertEqual(swap.body.swap.notifyDelivery.skipped, true, 'Skip recorded');
+  });
+
+  await runTest('skipNotify from a third party is ignored', async () => {
+    const relaySecret = '0x' + 'da'.repeat(32);
+    const claimedId = await initiateWithNotify(relaySecret);
+    await callHandler('/claim', { body: { swapId: claimedId, secret: relaySecret, skipNotify: true }, caller: TZ_CAROL });
+    assertEqual(notifications.length, 1, 'Relayed claim still notifies');
+    assertEqual(notifications[0].event, 'SwapClaimed', 'Claim event sent');
+
+    const refundedId = await initiateWithNotify('0x' + 'db'.repeat(32), KT1_RECEIVER, now() + 60);
+    travelTo(now() + 61);
+    try {
+      await callHandler('/refund', { body: { swapId: refundedId, skipNotify: true }, caller: TZ_CAROL });
+    } finally {
+      travelBack();
+    }
+    assertEqual(notifications.length, 2, 'Watchtower refund still notifies');
+    const swap = await callHandler(`/swap/${refundedId}`);
+    assertEqual(swap.body.swap.notifyDelivery.delivered, true, 'Delivery recorded, not skipped');
+  });
+
+  await runTest('Swaps without notify make no call; bad addresses are rejected', async () => {
+    const plainSecret = '0x' + 'd6'.repeat(32);
+    const swapId = await initiateWithNotify(plainSecret, null);
+    await callHandler('/claim', { body: { swapId, secret: plainSecret }, caller: TZ_BOB });
+    assertEqual(notifications.length, 0, 'No notification');
+
+    for (const notify of [TZ_BOB, 'KT1short', 42]) {
+      const res = await callHandler('/initiate', {
+        body: { hashlock: sha256('0x' + 'd7'.repeat(32)), recipient: TZ_BOB, expiration, notify },
+        caller: TZ_ALICE,
+        amount: amountMutez
+      });
+      assertEqual(res.status, 400, `notify ${notify} should be rejected`);
+    }
+  });
+
+  await runTest('Batch claims notify each receiver', async () => {
+    const secrets = ['0x' + 'd8'.repeat(32), '0x' + 'd9'.repeat(32)];
+    const swapIds = [];
+    for (const s of secrets) swapIds.push(await initiateWithNotify(s));
+    const res = await callHandler('/batch', {
+      body: { actions: secrets.map((s, i) => ({ action: 'claim', swapId: swapIds[i], secret: s })) },
+      caller: TZ_BOB
+    });
+    assertEqual(res.body.applied, 2, 'Both claims applied');
+    assertEqual(notifications.map(n => n.payload.swapId).join(), swapIds.join(), 'Each receiver notified in order');
+  });
+
   // ========== SUMMARY ==========
   console.log('\n' + '='.repeat(50));
   console.log(`\n📊 Results: ${testsPassed} passed, ${testsFailed} failed\n`);
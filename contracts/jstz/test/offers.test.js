@@ -0,0 +1,311 @@
+/**
+ * Tests for Jstz Offer Book Smart Function
+ *
+ * Run with: node offers.test.js
+ */
+
+import handler from '../offers.js';
+
+// Mock Kv storage
+const kvStore = new Map();
+const Kv = {
+  get: (key) => kvStore.get(key) || null,
+  set: (key, value) => kvStore.set(key, value),
+  clear: () => kvStore.clear()
+};
+
+// Make globals available
+global.Kv = Kv;
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+async function runTest(name, testFn) {
+  Kv.clear(); // Reset storage between tests
+  try {
+    await testFn();
+    console.log(`✅ ${name}`);
+    testsPassed++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    testsFailed++;
+  }
+}
+
+// Valid Tezos addresses (sandbox bootstrap accounts)
+const TZ_ALICE = 'tz1KqTpEZ7Yob7QbPE4Hy4Wo8fHG8LhKxZSx';
+const TZ_BOB = 'tz1gjaF81ZRRvdzjobyfVNsAeSC6PScjfQwN';
+const TZ_CAROL = 'tz1faswCTDciRzE4oJ9jn2Vm2dvjeyA9fUzU';
+const EVM_ALICE = '0x' + 'a1'.repeat(20);
+const EVM_BOB = '0x' + 'b0'.repeat(20);
+
+/**
+ * Call the handler the way the Jstz runtime does
+ * @returns {Promise<{status: number, body: any}>}
+ */
+async function callHandler(path, { method = 'POST', body = null, caller = null, amount = 0 } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (caller) headers['Referer'] = caller;
+  if (amount) headers['X-JSTZ-AMOUNT'] = String(amount);
+  // Keep the contract's [OFFERS] logging out of the test report
+  const consoleLog = console.log;
+  console.log = () => {};
+  let response;
+  try {
+    response = await handler(new Request(`jstz://offers${path}`, {
+      method,
+      headers,
+      body: method === 'POST' ? JSON.stringify(body || {}) : undefined
+    }));
+  } finally {
+    console.log = consoleLog;
+  }
+  return { status: response.status, body: await response.json() };
+}
+
+// Handler reads Date.now(), so time travel patches it
+const realDateNow = Date.now;
+
+function travelTo(timestampSeconds) {
+  Date.now = () => timestampSeconds * 1000;
+}
+
+function travelBack() {
+  Date.now = realDateNow;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Alice gives 1 XTZ on Etherlink for 0.98 XTZ on Jstz
+const offerTerms = {
+  makerChain: 'etherlink',
+  giveAmount: '1000000000000000000',
+  giveAsset: 'XTZ',
+  receiveAmount: 980000,
+  receiveAsset: 'XTZ',
+  minTimelock: 1800,
+  hashlock: '0x' + 'ab'.repeat(32),
+  makerAccount: TZ_ALICE
+};
+
+function postOffer(terms = {}, caller = TZ_ALICE) {
+  return callHandler('/offers/post', { body: { ...offerTerms, ...terms }, caller });
+}
+
+// ============================================
+// TESTS
+// ============================================
+
+async function runAllTests() {
+  console.log('\n🧪 Jstz Offer Book Smart Function Tests\n');
+  console.log('='.repeat(50));
+
+  // ========== POST TESTS ==========
+  console.log('\n📝 Post Tests');
+  console.log('-'.repeat(50));
+
+  await runTest('Maker can post an offer', async () => {
+    const res = await postOffer();
+    assertEqual(res.status, 200, 'Post should succeed');
+    assertEqual(res.body.event, 'OfferPosted', 'Should report OfferPosted');
+    const offer = res.body.data;
+    assertEqual(offer.offerId, 0, 'First offer gets id 0');
+    assertEqual(offer.maker, TZ_ALICE, 'Maker is the caller');
+    assertEqual(offer.takerChain, 'jstz', 'Taker chain is the other chain');
+    assertEqual(offer.receiveAmount, '980000', 'Numeric amounts are stored as strings');
+    assertEqual(offer.hashAlgorithm, 'sha256', 'SHA-256 by default');
+    assertEqual(offer.status, 'OPEN', 'New offers are OPEN');
+
+    const second = await postOffer({ hashlock: '0x' + 'cd'.repeat(32) });
+    assertEqual(second.body.data.offerId, 1, 'Ids are sequential');
+  });
+
+  await runTest('Invalid offers are rejected', async () => {
+    const bad = [
+      { makerChain: 'bitcoin' },
+      { giveAmount: '0' },
+      { receiveAmount: '-5' },
+      { minTimelock: 10 },
+      { hashlock: '0x1234' },
+      { hashAlgorithm: 'md5' },
+      { giveAsset: '<img src=x>' },
+      { makerAccount: EVM_ALICE } // Taker chain is Jstz: needs a tz address
+    ];
+    for (const terms of bad) {
+      const res = await postOffer(terms);
+      assertEqual(res.status, 400, `${JSON.stringify(terms)} should be rejected`);
+    }
+    const anonymous = await callHandler('/offers/post', { body: offerTerms });
+    assertEqual(anonymous.status, 400, 'Posting needs a caller');
+  });
+
+  await runTest('Calls carrying tez are rejected', async () => {
+    const res = await callHandler('/offers/post', { body: offerTerms, caller: TZ_ALICE, amount: 1000000 });
+    assertEqual(res.status, 400, 'Offer book must not take funds');
+    assert(res.body.error.includes('holds no funds'), 'Should explain why');
+  });
+
+  // ========== LIST TESTS ==========
+  console.log('\n📚 List Tests');
+  console.log('-'.repeat(50));
+
+  await runTest('List returns open offers newest first', async () => {
+    await postOffer();
+    await postOffer({ hashlock: '0x' + 'cd'.repeat(32) });
+    await postOffer({ hashlock: '0x' + 'ef'.repeat(32) }, TZ_CAROL);
+    await callHandler('/offers/withdraw', { body: { offerId: 1 }, caller: TZ_ALICE });
+
+    const res = await callHandler('/offers', { method: 'GET' });
+    assertEqual(res.status, 200, 'List should succeed');
+    assertEqual(res.body.offers.map(o => o.offerId).join(), '2,0', 'Withdrawn offers are hidden by default');
+    assertEqual(res.body.total, 3, 'Total counts every offer');
+
+    const byMaker = await callHandler(`/offers?maker=${TZ_CAROL}`, { method: 'GET' });
+    assertEqual(byMaker.body.offers.length, 1, 'Maker filter applies');
+
+    const all = await callHandler('/offers?status=OPEN,WITHDRAWN', { method: 'GET' });
+    assertEqual(all.body.offers.length, 3, 'Status filter applies');
+
+    const page = await callHandler('/offers?limit=1&status=OPEN,WITHDRAWN', { method: 'GET' });
+    assertEqual(page.body.offers[0].offerId, 2, 'First page is the newest');
+    assertEqual(page.body.nextCursor, 1, 'Cursor points at the next offer');
+  });
+
+  await runTest('Single offer can be read by id', async () => {
+    await postOffer();
+    const res = await callHandler('/offers/0', { method: 'GET' });
+    assertEqual(res.body.found, true, 'Offer should be found');
+    assertEqual(res.body.offer.hashlock, offerTerms.hashlock, 'Hashlock returned');
+
+    const missing = await callHandler('/offers/7', { method: 'GET' });
+    assertEqual(missing.body.found, false, 'Unknown id is not found');
+  });
+
+  // ========== ACCEPT TESTS ==========
+  console.log('\n🤝 Accept Tests');
+  console.log('-'.repeat(50));
+
+  await runTest('Taker can reserve an open offer', async () => {
+    await postOffer();
+    const res = await callHandler('/offers/accept', { body: { offerId: 0, takerAccount: EVM_BOB }, caller: TZ_BOB });
+    assertEqual(res.status, 200, 'Accept should succeed');
+    assertEqual(res.body.data.status, 'RESERVED', 'Offer is reserved');
+    assertEqual(res.body.data.taker, TZ_BOB, 'Taker recorded');
+    assertEqual(res.body.data.takerAccount, EVM_BOB, 'Taker account on the maker chain recorded');
+
+    const again = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_CAROL });
+    assertEqual(again.status, 400, 'Reserved offer cannot be taken twice');
+
+    const open = await callHandler('/offers', { method: 'GET' });
+    assertEqual(open.body.offers.length, 0, 'Reserved offers leave the open book');
+  });
+
+  await runTest('Maker cannot accept own offer, bad taker accounts rejected', async () => {
+    await postOffer();
+    const own = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_ALICE });
+    assertEqual(own.status, 400, 'Maker cannot reserve own offer');
+
+    const badAccount = await callHandler('/offers/accept', { body: { offerId: 0, takerAccount: TZ_BOB }, caller: TZ_BOB });
+    assertEqual(badAccount.status, 400, 'Maker chain is Etherlink: needs a 0x address');
+
+    const missing = await callHandler('/offers/accept', { body: { offerId: 9 }, caller: TZ_BOB });
+    assertEqual(missing.status, 400, 'Unknown offer cannot be accepted');
+  });
+
+  await runTest('Lapsed reservation reopens the offer', async () => {
+    await postOffer();
+    await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_BOB });
+
+    travelTo(now() + 15 * 60 + 1);
+    let listed, retaken;
+    try {
+      listed = await callHandler('/offers', { method: 'GET' });
+      retaken = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_CAROL });
+    } finally {
+      travelBack();
+    }
+    assertEqual(listed.body.offers.length, 1, 'Offer is back in the book');
+    assertEqual(listed.body.offers[0].taker, null, 'Lapsed taker is not shown');
+    assertEqual(retaken.status, 200, 'Another taker can reserve it');
+    assertEqual(retaken.body.data.taker, TZ_CAROL, 'New taker recorded');
+  });
+
+  await runTest('Lapsed taker cannot re-reserve until the cooldown ends', async () => {
+    await postOffer();
+    const first = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_BOB });
+    const lapsedAt = first.body.data.reservedUntil;
+
+    let again, other;
+    travelTo(lapsedAt + 1);
+    try {
+      again = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_BOB });
+    } finally {
+      travelBack();
+    }
+    assertEqual(again.status, 400, 'Same taker cannot re-reserve right away');
+    assert(again.body.error.includes('lapsed'), 'Error should explain the cooldown');
+
+    travelTo(lapsedAt + 15 * 60);
+    try {
+      again = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_BOB });
+      other = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_CAROL });
+    } finally {
+      travelBack();
+    }
+    assertEqual(again.status, 200, 'Taker can reserve again once the cooldown ends');
+    assertEqual(other.status, 400, 'Offer is reserved again');
+  });
+
+  // ========== WITHDRAW TESTS ==========
+  console.log('\n🗑️ Withdraw Tests');
+  console.log('-'.repeat(50));
+
+  await runTest('Only the maker can withdraw, once', async () => {
+    await postOffer();
+    const byOther = await callHandler('/offers/withdraw', { body: { offerId: 0 }, caller: TZ_BOB });
+    assertEqual(byOther.status, 400, 'Others cannot withdraw');
+
+    await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_BOB });
+    const res = await callHandler('/offers/withdraw', { body: { offerId: 0 }, caller: TZ_ALICE });
+    assertEqual(res.status, 200, 'Maker can withdraw a reserved offer');
+    assertEqual(res.body.data.status, 'WITHDRAWN', 'Offer is withdrawn');
+
+    const twice = await callHandler('/offers/withdraw', { body: { offerId: 0 }, caller: TZ_ALICE });
+    assertEqual(twice.status, 400, 'Cannot withdraw twice');
+    const accept = await callHandler('/offers/accept', { body: { offerId: 0 }, caller: TZ_CAROL });
+    assertEqual(accept.status, 400, 'Withdrawn offers cannot be accepted');
+  });
+
+  // ========== SUMMARY ==========
+  console.log('\n' + '='.repeat(50));
+  console.log(`\n📊 Results: ${testsPassed} passed, ${testsFailed} failed\n`);
+
+  if (testsFailed === 0) {
+    console.log('🎉 All tests passed! Offer book is ready for deployment.\n');
+    return true;
+  } else {
+    console.log('❌ Some tests failed. Please fix before deploying.\n');
+    return false;
+  }
+}
+
+// Run tests
+runAllTests().then(success => {
+  process.exit(success ? 0 : 1);
+});
@@ -24,13 +24,9 @@ const TEST_TIMELOCK_SECONDS = 60;
 const CONTRACT_ADDRESS = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
 const RPC_URL = 'http://127.0.0.1:8545';
 
-// ABI (minimal for testing)
-const HTLC_ABI = [
-    "function initiateSwap(address recipient, bytes32 hashLock, uint256 expiration) external payable returns (bytes32)",
-    "function claimSwap(bytes32 swapId, bytes memory secret) external returns (bool)",
-    "function refundSwap(bytes32 swapId) external returns (bool)",
-    "function getSwap(bytes32 swapId) external view returns (tuple(address sender, address receiver, uint256 amount, bytes32 hashLock, uint256 expiration, uint8 state))"
-];
+// ABI exported from the Hardhat artifact (regenerated by `npx hardhat compile`)
+const HTLC_ARTIFACT_ABI_PATH = 'contracts/etherlink/abi/HTLC.json';
+let htlcArtifactAbi = null;
 
 // Test results storage
 let testResults = [];
@@ -39,6 +35,12 @@ let testResults = [];
 // HELPER FUNCTIONS
 // ======================
 
+// Hashlocks are built with Keccak-256 (HTLC.HashAlgorithm.KECCAK256), as on most EVM HTLCs
+const HASH_ALGORITHM = 1;
+
+// HTLC.CounterpartLeg: these scenarios stay on Etherlink, so no other leg is recorded
+const NO_COUNTERPART = { chain: '', account: '', amount: 0, ref: '' };
+
 function generateSecretAndHash() {
     const secret = ethers.utils.randomBytes(32);
     const secretHex = ethers.utils.hexlify(secret);
@@ -56,7 +58,18 @@ async function getSigner(account) {
 }
 
 async function getContract(signer) {
-    return new ethers.Contract(CONTRACT_ADDRESS, HTLC_ABI, signer);
+    if (!htlcArtifactAbi) {
+        const res = await fetch(HTLC_ARTIFACT_ABI_PATH);
+        if (!res.ok) throw new Error(`Could not load HTLC ABI from ${HTLC_ARTIFACT_ABI_PATH} (HTTP ${res.status})`);
+        htlcArtifactAbi = (await res.json()).abi;
+    }
+    return new ethers.Contract(CONTRACT_ADDRESS, htlcArtifactAbi, signer);
+}
+
+// Swap ID assigned by initiateSwap (derived from sender, recipient, hash and nonce)
+async function getInitiatedSwapId(tx) {
+    const receipt = await tx.wait();
+    return receipt.events.find(e => e.event === 'SwapInitiated').args.swapId;
 }
 
 async function advanceTime(seconds) {
@@ -114,35 +127,37 @@ async function testSuccessfulSwap() {
             TEST_ACCOUNTS.bob.address,
             hash,
             expiration,
+            HASH_ALGORITHM,
+            NO_COUNTERPART,
             { value: amount }
         );
-        await initTx.wait();
+        const swapId = await getInitiatedSwapId(initTx);
         logTest('Alice initiates swap', 'PASS', `tx: ${initTx.hash.substring(0, 15)}...`);
         
         // Step 2: Verify swap exists
         console.log('\nStep 2: Verifying swap on-chain...');
-        const swap = await aliceContract.getSwap(hash);
-        if (swap.state === 1) { // ACTIVE
+        const swap = await aliceContract.getSwap(swapId);
+        if (swap.status === 0) { // OPEN
             logTest('Swap is ACTIVE on-chain', 'PASS', `Locked: ${ethers.utils.formatEther(swap.amount)} ETH`);
         } else {
-            logTest('Swap is ACTIVE on-chain', 'FAIL', `State: ${swap.state}`);
+            logTest('Swap is ACTIVE on-chain', 'FAIL', `Status: ${swap.status}`);
             return false;
         }
         
         // Step 3: Bob claims using secret (simulating cross-chain, Bob would do this on Etherlink after Alice reveals)
         console.log('\nStep 3: Bob claims swap using secret...');
         const secretBytes = ethers.utils.arrayify(secret);
-        const claimTx = await bobContract.claimSwap(hash, secretBytes);
+        const claimTx = await bobContract.claimSwap(swapId, secretBytes);
         await claimTx.wait();
         logTest('Bob claims swap', 'PASS', `tx: ${claimTx.hash.substring(0, 15)}...`);
         
         // Step 4: Verify swap is claimed
         console.log('\nStep 4: Verifying swap is CLAIMED...');
-        const swapAfter = await aliceContract.getSwap(hash);
-        if (swapAfter.state === 2) { // CLAIMED
+        const swapAfter = await aliceContract.getSwap(swapId);
+        if (swapAfter.status === 1) { // CLAIMED
             logTest('Swap state is CLAIMED', 'PASS');
         } else {
-            logTest('Swap state is CLAIMED', 'FAIL', `State: ${swapAfter.state}`);
+            logTest('Swap state is CLAIMED', 'FAIL', `Status: ${swapAfter.status}`);
             return false;
         }
         
@@ -186,9 +201,11 @@ async function testRefundAfterTimeout() {
             TEST_ACCOUNTS.bob.address,
             hash,
             expiration,
+            HASH_ALGORITHM,
+            NO_COUNTERPART,
             { value: amount }
         );
-        await initTx.wait();
+        const swapId = await getInitiatedSwapId(initTx);
         logTest('Alice initiates swap', 'PASS');
         
         // Step 2: Wait for timelock to expire
@@ -197,16 +214,16 @@ async function testRefundAfterTimeout() {
         
         // Step 3: Alice refunds
         console.log('\nStep 3: Alice requests refund...');
-        const refundTx = await aliceContract.refundSwap(hash);
+        const refundTx = await aliceContract.refundSwap(swapId);
         await refundTx.wait();
         logTest('Alice refund successful', 'PASS');
         
         // Step 4: Verify swap is refunded
-        const swapAfter = await aliceContract.getSwap(hash);
-        if (swapAfter.state === 3) { // REFUNDED
+        const swapAfter = await aliceContract.getSwap(swapId);
+        if (swapAfter.status === 2) { // REFUNDED
             logTest('Swap state is REFUNDED', 'PASS');
         } else {
-            logTest('Swap state is REFUNDED', 'FAIL', `State: ${swapAfter.state}`);
+            logTest('Swap state is REFUNDED', 'FAIL', `Status: ${swapAfter.status}`);
         }
         
         console.log('\n✅ SCENARIO 2 PASSED: Refund after timeout works!\n');
@@ -283,15 +300,17 @@ async function testRefundBeforeTimeout() {
             TEST_ACCOUNTS.bob.address,
             hash,
             expiration,
+            HASH_ALGORITHM,
+            NO_COUNTERPART,
             { value: amount }
         );
-        await initTx.wait();
+        const swapId = await getInitiatedSwapId(initTx);
         logTest('Alice initiates swap', 'PASS');
         
         // Step 2: Try to refund immediately (should fail)
         console.log('\nStep 2: Alice tries to refund immediately (should fail)...');
         try {
-            await aliceContract.refundSwap(hash);
+            await aliceContract.refundSwap(swapId);
             logTest('Early refund rejected', 'FAIL', 'Should have reverted!');
             return false;
         } catch (error) {
@@ -306,7 +325,7 @@ async function testRefundBeforeTimeout() {
         // Cleanup: advance time and refund for real
         console.log('\nCleanup: advancing time and refunding...');
         await advanceTime(longTimelock + 10);
-        await aliceContract.refundSwap(hash);
+        await aliceContract.refundSwap(swapId);
         
         console.log('\n✅ SCENARIO 4 PASSED: Cannot refund before timeout!\n');
         return true;
@@ -343,16 +362,18 @@ async function testClaimWrongSecret() {
             TEST_ACCOUNTS.bob.address,
             hash,
             expiration,
+            HASH_ALGORITHM,
+            NO_COUNTERPART,
             { value: amount }
         );
-        await initTx.wait();
+        const swapId = await getInitiatedSwapId(initTx);
         logTest('Alice initiates swap', 'PASS');
         
         // Step 2: Bob tries to claim with wrong secret
         console.log('\nStep 2: Bob tries to claim with WRONG secret...');
         try {
             const wrongSecretBytes = ethers.utils.arrayify(wrongSecret);
-            await bobContract.claimSwap(hash, wrongSecretBytes);
+            await bobContract.claimSwap(swapId, wrongSecretBytes);
             logTest('Wrong secret rejected', 'FAIL', 'Should have reverted!');
             return false;
         } catch (error) {
@@ -367,7 +388,7 @@ async function testClaimWrongSecret() {
         // Cleanup
         console.log('\nCleanup: advancing time and refunding...');
         await advanceTime(TEST_TIMELOCK_SECONDS + 10);
-        await aliceContract.refundSwap(hash);
+        await aliceContract.refundSwap(swapId);
         
         console.log('\n✅ SCENARIO 5 PASSED: Cannot claim with wrong secret!\n');
         return true;
@@ -398,24 +419,26 @@ async function testDoubleClaimAttempt() {
         
         // Step 1: Alice initiates
         console.log('Step 1: Alice initiates swap...');
-        await (await aliceContract.initiateSwap(
+        const swapId = await getInitiatedSwapId(await aliceContract.initiateSwap(
             TEST_ACCOUNTS.bob.address,
             hash,
             expiration,
+            HASH_ALGORITHM,
+            NO_COUNTERPART,
             { value: amount }
-        )).wait();
+        ));
         logTest('Alice initiates swap', 'PASS');
         
         // Step 2: Bob claims
         console.log('\nStep 2: Bob claims swap...');
         const secretBytes = ethers.utils.arrayify(secret);
-        await (await bobContract.claimSwap(hash, secretBytes)).wait();
+        await (await bobContract.claimSwap(swapId, secretBytes)).wait();
         logTest('Bob claims swap', 'PASS');
         
         // Step 3: Try to claim again
         console.log('\nStep 3: Attempting second claim (should fail)...');
         try {
-            await bobContract.claimSwap(hash, secretBytes);
+            await bobContract.claimSwap(swapId, secretBytes);
             logTest('Double claim rejected', 'FAIL', 'Should have reverted!');
             return false;
         } catch (error) {
@@ -437,11 +460,11 @@ async function testDoubleClaimAttempt() {
 }
 
 /**
- * Scenario 7: Only sender can refund
+ * Scenario 7: Anyone can trigger an expired refund, funds go to the sender
  */
-async function testOnlySenderCanRefund() {
+async function testThirdPartyRefundPaysSender() {
     console.log('\n========================================');
-    console.log('🧪 SCENARIO 7: Only Sender Can Refund');
+    console.log('🧪 SCENARIO 7: Third-Party Refund Pays Sender');
     console.log('========================================\n');
     
     try {
@@ -457,39 +480,43 @@ async function testOnlySenderCanRefund() {
         
         // Step 1: Alice initiates
         console.log('Step 1: Alice initiates swap...');
-        await (await aliceContract.initiateSwap(
+        const swapId = await getInitiatedSwapId(await aliceContract.initiateSwap(
             TEST_ACCOUNTS.bob.address,
             hash,
             expiration,
+            HASH_ALGORITHM,
+            NO_COUNTERPART,
             { value: amount }
-        )).wait();
+        ));
         logTest('Alice initiates swap', 'PASS');
         
         // Step 2: Wait for expiration
         console.log('\nStep 2: Waiting for timelock to expire...');
         await advanceTime(shortTimelock + 5);
         
-        // Step 3: Bob tries to refund (should fail - he's not the sender)
-        console.log('\nStep 3: Bob tries to refund (should fail)...');
-        try {
-            await bobContract.refundSwap(hash);
-            logTest('Non-sender refund rejected', 'FAIL', 'Should have reverted!');
+        // Step 3: Bob triggers the refund on Alice's behalf (acting as a watchtower)
+        console.log('\nStep 3: Bob triggers the refund for Alice...');
+        const aliceBefore = await getBalance(TEST_ACCOUNTS.alice.address);
+        const receipt = await (await bobContract.refundSwap(swapId)).wait();
+        const aliceAfter = await getBalance(TEST_ACCOUNTS.alice.address);
+        
+        const refunded = parseFloat(aliceAfter) - parseFloat(aliceBefore);
+        if (Math.abs(refunded - 0.05) < 0.0001) {
+            logTest('Refund paid to the sender', 'PASS', `+${refunded.toFixed(4)} ETH`);
+        } else {
+            logTest('Refund paid to the sender', 'FAIL', `Alice received ${refunded} ETH`);
             return false;
-        } catch (error) {
-            if (error.message.includes('OnlySender') || error.message.includes('not sender') || error.message.includes('revert')) {
-                logTest('Non-sender refund rejected', 'PASS', 'Correctly reverted');
-            } else {
-                logTest('Non-sender refund rejected', 'FAIL', error.message);
-                return false;
-            }
         }
         
-        // Cleanup: Alice refunds
-        console.log('\nCleanup: Alice (sender) refunds...');
-        await aliceContract.refundSwap(hash);
-        logTest('Sender can refund', 'PASS');
+        const event = receipt.events.find(e => e.event === 'SwapRefunded');
+        if (event && event.args.refundedBy === TEST_ACCOUNTS.bob.address) {
+            logTest('Event records who triggered the refund', 'PASS');
+        } else {
+            logTest('Event records who triggered the refund', 'FAIL', event ? event.args.refundedBy : 'No event');
+            return false;
+        }
         
-        console.log('\n✅ SCENARIO 7 PASSED: Only sender can refund!\n');
+        console.log('\n✅ SCENARIO 7 PASSED: Third-party refund pays the sender!\n');
         return true;
         
     } catch (error) {
@@ -540,7 +567,7 @@ async function runAllTests() {
     await testRefundBeforeTimeout();
     await testClaimWrongSecret();
     await testDoubleClaimAttempt();
-    await testOnlySenderCanRefund();
+    await testThirdPartyRefundPaysSender();
     
     // Summary
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -576,7 +603,7 @@ if (typeof window !== 'undefined') {
     window.testRefundBeforeTimeout = testRefundBeforeTimeout;
     window.testClaimWrongSecret = testClaimWrongSecret;
     window.testDoubleClaimAttempt = testDoubleClaimAttempt;
-    window.testOnlySenderCanRefund = testOnlySenderCanRefund;
+    window.testThirdPartyRefundPaysSender = testThirdPartyRefundPaysSender;
     
     console.log('🧪 Test suite loaded! Run runAllTests() in console to start.');
 }